@@ -12,9 +12,6 @@
  * 
  * This program should work in all modern web browsers that support JavaScript
  * and webgl, but must be served by a webserver due to CORS.
- * Some browsers may reserve the mouse wheel for page scrolling, if the
- * mouse wheel does not result in a change in zoom, try disabling this setting
- * or using another browser.
  */
 
 
@@ -28,15 +25,35 @@
 
 // Setup ///////////////////////////////////////////////////////////////////////
 
+// Physical constants, used to derive real motion from the scaled scene
+var EARTH_RADIUS_KM = 6378.137; // Equatorial radius
+var EARTH_MU = 398600.4418; // Gravitational parameter (km^3/s^2)
+var SIDEREAL_DAY = 86164.0905; // Length of one Earth rotation (seconds)
+var SOLAR_DAY = 86400; // Length of a day by the clock (seconds)
+
 /**
  * Performs setup and initialisation of object necessary before drawing can 
  * begin. This should be called on first load and on webglcontextrestored.
  */
 function init() {
 
-    initObjects();
+    // Objects survive a lost context, only their gl resources are recreated
+    if (pwgl.scene === undefined) {
+        initObjects();
+    }
+
+    pwgl.meshes = {};
     setupEarthBuffers();
     setupSatBuffers();
+    setupCloudBuffers();
+    setupMarkerBuffers();
+    setupOverlayBuffers();
+    setupGroundStationBuffers();
+    setupSensorBuffers();
+    setupModelBuffers();
+    setupAtmosphereBuffers();
+    setupStarBuffers();
+    setupOrbitBuffers();
 
     setupShaders();
     setupLights();
@@ -46,10 +63,9 @@ function init() {
 
     // Camera position / direction
     pwgl.aspectRatio = gl.viewportWidth / gl.viewportHeight;
-    pwgl.zoom = 60;
-    mat4.perspective(pwgl.zoom, pwgl.aspectRatio, 1, 100.0, pwgl.projectionMatrix);
-    mat4.identity(pwgl.modelViewMatrix);
-    mat4.lookAt([16, 16, 16], [0, 0, 0], [0, 1, 0], pwgl.modelViewMatrix);
+    mat4.perspective(pwgl.camera.fieldOfView, pwgl.aspectRatio, pwgl.camera.nearPlane, 100.0,
+            pwgl.projectionMatrix);
+    updateCamera(pwgl.camera);
 
     // Variables related to animation
     pwgl.nbrOfFramesForFPS = 0;
@@ -57,64 +73,272 @@ function init() {
 }
 
 /**
- * Defines the initial and constant properties of the Earth and satellite.
+ * Creates the scene and defines the initial and constant properties of the
+ * Earth and satellite.
  */
 function initObjects() {
-    // Initialize variables for satellite
-    pwgl.sat = {
-        x: 0.0,
-        y: 0.0,
-        z: 0.0,
-        rotAngle: 0, // Direction satellite is facing
-        orbitAngle: Math.PI, // Progress around Earth (angular displacement)
-        orbitRadius: 16.0, // Orbital distance from Earth centre
-        orbitRPM: 6.0, // Complete orbits per minute
 
-        // Constants
-        scale: 1.0,
-        minOrbitRadius: 8.0 // Prevents satellite clipping with Earth
+    // Drives all motion, starting from the current date and time
+    pwgl.clock = createSimClock(Date.now());
+
+    // Shader programs for lighting calculated per vertex or per pixel
+    pwgl.lightingModels = ["gouraud", "phong"];
+    pwgl.lightingModel = "gouraud";
+
+    // Background of stars from the bright star catalogue (stars.js), filled
+    // out with randomly placed faint stars
+    pwgl.stars = {
+        show: true,
+        faintStars: 1500,
+        seed: 1 // Always places the faint stars in the same way
+    };
+
+    // Predicted paths of the satellites, and the ground track of the
+    // controlled satellite
+    pwgl.orbitDisplay = {
+        show: true,
+        groundTrackOrbits: 2, // Number of orbits ahead to show the track for
+        samplesPerOrbit: 180,
+        pathUpdateInterval: 3600000, // Simulated ms before a path is predicted again
+        pathUpdatesPerFrame: 10, // Paths predicted again each frame, at most
+        orbitColor: [0.4, 0.6, 0.9],
+        activeOrbitColor: [1.0, 0.8, 0.2],
+        groundTrackColor: [1.0, 0.4, 0.2]
     };
 
+    pwgl.scene = createScene();
+
     // Initialize variables for Earth
-    pwgl.earth = {
-        x: 0.0,
-        y: 0.0,
-        z: 0.0,
-        rotAngle: 0, // Direction Earth is facing
+    pwgl.earth = createNode({
+        name: "Earth",
+        mesh: "earth",
+        texture: "earth.jpg",
+        nightTexture: undefined, // Optional image, city lights on the dark side
+        specularMap: undefined, // Optional image, white where water shines
+        normalMap: undefined, // Optional image, relief (per pixel lighting only)
+        update: updateEarth,
+        rotAngle: 0, // Direction Earth is facing (Greenwich sidereal time)
 
         // Constants
         radius: 5.0,
-        scale: 1.0,
-        RPM: 6.0, // Number of 'days' (full earth rotations) per minute
         latitudeStrips: 64,
-        longitudeStrips: 64
+        longitudeStrips: 64,
+
+        atmosphere: {
+            show: true,
+            thickness: 0.06, // Height of the atmosphere, as a fraction of radius
+            density: 1.0, // Brightness of the scattered light
+            color: [0.3, 0.55, 1.0], // Colour of the sky (Rayleigh scattering)
+            sunsetColor: [1.0, 0.45, 0.15] // Colour near the terminator
+        }
+    });
+    pwgl.scene.add(pwgl.earth);
+
+    // Clouds turn with the Earth, drifting slowly eastwards over the ground
+    pwgl.clouds = createNode({
+        name: "Clouds",
+        mesh: "clouds",
+        texture: undefined, // Optional image with an alpha channel, not drawn without one
+        update: updateClouds,
+        transparent: true,
+        rotAngle: 0, // Drift relative to the ground
+        opacity: 0.8,
+        driftPerDay: 0.05, // Revolutions per day relative to the ground
+
+        // Constants
+        radius: 5.05
+    });
+    pwgl.scene.add(pwgl.clouds, pwgl.earth.id);
+
+    // Labelled points on the Earth, see addMarker
+    pwgl.markers = [];
+    pwgl.markerSize = 0.06;
+
+    // Lines drawn on the Earth, see loadGeoJSON
+    pwgl.overlays = [];
+    pwgl.overlayDisplay = {
+        color: [1.0, 1.0, 0.6],
+        height: 1.002, // Times the radius of the Earth, to stay above it
+        maxSegmentDegrees: 2
+    };
+
+    // Places on the ground which track the controlled satellite, see
+    // addGroundStation
+    pwgl.groundStations = [];
+    pwgl.stationDisplay = {
+        color: [0.3, 1.0, 0.3],
+        minElevation: 10, // Degrees above the horizon, unless a station has its own
+        linkColor: [0.3, 1.0, 0.3],
+        footprintColor: [0.4, 0.6, 1.0],
+        footprintInViewColor: [0.3, 1.0, 0.3],
+        footprintSamples: 90,
+        passHours: 24, // How far ahead passes are listed
+        passesShown: 3, // Per station
+        passStep: 30, // Simulated seconds between samples when searching for passes
+        passUpdateInterval: 1000 // Real ms between searches while the orbit is changed
+    };
+
+    // Initialize variables for satellite
+    pwgl.sat = createSatellite({name: "Satellite"});
+    pwgl.scene.add(pwgl.sat);
+    pwgl.activeSat = pwgl.sat; // Satellite controlled by the arrow keys
+
+    // Meshes loaded from files, see loadModel
+    pwgl.models = {};
+
+    // Sticks of game controllers, see handleGamepads
+    pwgl.gamepadSettings = {
+        deadZone: 0.15,
+        cameraSpeed: 8 // Pixels of mouse drag matching a full tilt each frame
+    };
+    pwgl.gamepadNames = [];
+
+    // Looking at the Earth from above the northern hemisphere
+    pwgl.camera = createCamera({
+        target: [0, 0, 0],
+        distance: Math.sqrt(3 * 16 * 16),
+        yaw: Math.PI / 4,
+        pitch: Math.atan(1 / Math.sqrt(2))
+    });
+}
+
+/**
+ * Creates a registry of the bodies in the scene (satellites, moons, stations
+ * etc.) which are updated and drawn each frame.
+ *
+ * Each object is a scene graph node (see createNode) which needs the name of a
+ * mesh in pwgl.meshes and a texture url, and may have an update function which
+ * is called with the object and the time passed (ms) before it is drawn.
+ * Objects are updated in the order they were added, so a parent is always
+ * updated before its children.
+ * @returns {Object} The scene
+ */
+function createScene() {
+
+    var scene = {
+        root: createNode({name: "Root"}), // Parent of all top-level objects
+        objects: [], // All objects, in the order they were added
+        nextId: 1,
+        onChange: null // Called whenever an object is added or removed
+    };
+
+    /**
+     * Adds an object to the scene, giving it a unique id if it has none.
+     * @param {Object} obj The object to add
+     * @param {String} parentId Optional, id of the object to attach this to,
+     * so that it is positioned relative to it. Defaults to the scene root.
+     * @returns {String} The id of the object
+     */
+    scene.add = function (obj, parentId) {
+        if (obj.id === undefined) {
+            obj.id = "obj" + scene.nextId++;
+        }
+        if (scene.get(obj.id) !== null) {
+            throw "Error scene.add() - Duplicate id " + obj.id;
+        }
+        var parent = parentId === undefined ? scene.root : scene.get(parentId);
+        if (parent === null) {
+            throw "Error scene.add() - No parent with id " + parentId;
+        }
+        addChild(parent, obj);
+        scene.objects.push(obj);
+        if (scene.onChange) {
+            scene.onChange();
+        }
+        return obj.id;
+    };
+
+    /**
+     * Removes an object from the scene, along with anything attached to it.
+     * @param {String} id The id of the object
+     * @returns {Object} The removed object, or null if there was none
+     */
+    scene.remove = function (id) {
+        var obj = scene.get(id);
+        if (obj === null) {
+            return null;
+        }
+        removeChild(obj.parent, obj);
+        scene.objects = scene.objects.filter(function (other) {
+            return !isDescendant(other, obj);
+        });
+        if (scene.onChange) {
+            scene.onChange();
+        }
+        return obj;
+    };
+
+    /**
+     * Finds an object in the scene.
+     * @param {String} id The id of the object
+     * @returns {Object} The object, or null if there is none
+     */
+    scene.get = function (id) {
+        for (var i = 0; i < scene.objects.length; i++) {
+            if (scene.objects[i].id === id) {
+                return scene.objects[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Lists the satellites which can be controlled by the user.
+     * @returns {Array}
+     */
+    scene.controllableSats = function () {
+        return scene.objects.filter(function (obj) {
+            return obj.controllable === true;
+        });
     };
 
+    return scene;
 }
 
 /**
- * Defines the position and colour of light sources.
+ * Defines the colour of light sources for each lighting model. The direction
+ * of the sunlight is uploaded each frame by updateDisplay.
  */
 function setupLights() {
-    gl.uniform3fv(pwgl.uniformLightPositionLoc, [0.0, 20.0, 0.0]); // Directly above scene
-    gl.uniform3fv(pwgl.uniformAmbientLightColorLoc, [0.2, 0.2, 0.2]);
-    gl.uniform3fv(pwgl.uniformDiffuseLightColorLoc, [0.7, 0.7, 0.7]);
-    gl.uniform3fv(pwgl.uniformSpecularLightColorLoc, [0.8, 0.8, 0.8]);
+    for (var i = 0; i < pwgl.lightingModels.length; i++) {
+        useProgram(pwgl.programs[pwgl.lightingModels[i]]);
+        gl.uniform3fv(pwgl.uniformAmbientLightColorLoc, [0.2, 0.2, 0.2]);
+        gl.uniform3fv(pwgl.uniformDiffuseLightColorLoc, [0.7, 0.7, 0.7]);
+        gl.uniform3fv(pwgl.uniformSpecularLightColorLoc, [0.8, 0.8, 0.8]);
+    }
+    useProgram(pwgl.programs[pwgl.lightingModel]);
 }
 
 /**
- * Asynchronously loads the required textures for the Earth and satellite.
+ * Asynchronously loads the textures used by objects in the scene. Textures
+ * for objects added later are loaded when first drawn.
  */
 function setupTextures() {
-    // Texture for Earth
-    pwgl.earth.texture = gl.createTexture();
-    loadImageForTexture("earth.jpg", pwgl.earth.texture);
+    pwgl.textures = {};
+    pwgl.loadedTextures = {};
+
+    // Stands in for the texture of materials which only have a colour
+    pwgl.whiteTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, pwgl.whiteTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+            new Uint8Array([255, 255, 255, 255]));
+    gl.bindTexture(gl.TEXTURE_2D, null);
 
-    // Textures for satellite
-    pwgl.sat.texture = gl.createTexture();
-    loadImageForTexture("sat.jpg", pwgl.sat.texture);
-    pwgl.sat.texture2 = gl.createTexture();
-    loadImageForTexture("sat2.jpg", pwgl.sat.texture2);
+    for (var i = 0; i < pwgl.scene.objects.length; i++) {
+        var obj = pwgl.scene.objects[i];
+        if (obj.texture !== undefined) {
+            getTexture(obj.texture);
+        }
+        if (obj.nightTexture !== undefined) {
+            getTexture(obj.nightTexture);
+        }
+        if (obj.specularMap !== undefined) {
+            getTexture(obj.specularMap);
+        }
+        if (obj.normalMap !== undefined) {
+            getTexture(obj.normalMap);
+        }
+    }
 }
 
 /**
@@ -124,9 +348,10 @@ function setupTextures() {
  * @param {type} index The vertex index array
  * @param {type} texture The texture coordinates array
  * @param {type} normal The vertex normal array
+ * @param {type} tangent The vertex tangent array (optional, for normal maps)
  * @returns {prepBuffers.buffers} Object holding the buffers
  */
-function prepBuffers(position, index, texture, normal) {
+function prepBuffers(position, index, texture, normal, tangent) {
 
     var buffers = {};
 
@@ -150,13 +375,130 @@ function prepBuffers(position, index, texture, normal) {
     gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexNormal);
     gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normal), gl.STATIC_DRAW);
 
+    // Setup buffer with tangents (direction of increasing u texture coordinate)
+    if (tangent !== undefined) {
+        buffers.vertexTangent = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexTangent);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(tangent), gl.STATIC_DRAW);
+    }
+
     return buffers;
 }
 
+/**
+ * Finds the box, aligned with the axes, which contains a set of vertices.
+ * @param {Array} position The vertex position array
+ * @returns {Object} The smallest (min) and largest (max) corners
+ */
+function computeBounds(position) {
+    var bounds = {
+        min: [Infinity, Infinity, Infinity],
+        max: [-Infinity, -Infinity, -Infinity]
+    };
+    for (var i = 0; i < position.length; i += 3) {
+        for (var j = 0; j < 3; j++) {
+            bounds.min[j] = Math.min(bounds.min[j], position[i + j]);
+            bounds.max[j] = Math.max(bounds.max[j], position[i + j]);
+        }
+    }
+    return bounds;
+}
+
+/**
+ * Creates a mesh of lines whose vertices can be changed every frame, unlike
+ * those made with prepBuffers.
+ * @param {int} maxVertices Number of vertices to make space for, the buffer
+ * grows if more are given later
+ * @returns {Object} The mesh, with its buffer and number of vertices
+ */
+function createLineMesh(maxVertices) {
+    var mesh = {
+        vertexNumber: 0,
+        maxVertices: maxVertices,
+        buffers: {vertexPosition: gl.createBuffer()}
+    };
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.bufferData(gl.ARRAY_BUFFER, maxVertices * 3 * 4, gl.DYNAMIC_DRAW);
+    return mesh;
+}
+
+/**
+ * Replaces the vertices of a line mesh.
+ * @param {Object} mesh Mesh created by createLineMesh
+ * @param {Array} positions The vertex position array
+ */
+function updateLineMesh(mesh, positions) {
+    var vertexNumber = positions.length / 3;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    if (vertexNumber > mesh.maxVertices) {
+        mesh.maxVertices = vertexNumber;
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.DYNAMIC_DRAW);
+    } else {
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, new Float32Array(positions));
+    }
+    mesh.vertexNumber = vertexNumber;
+}
+
+/**
+ * Draws a line mesh in a single colour. The line program must be in use.
+ * @param {Object} mesh Mesh created by createLineMesh
+ * @param {mat4} modelMatrix Position of the line in the world
+ * @param {Array} color RGB colour
+ * @param {int} mode gl.LINE_STRIP or gl.LINE_LOOP
+ * @param {int} first Optional, index of the first vertex to draw
+ * @param {int} count Optional, number of vertices to draw. Defaults to all of
+ * them from first.
+ */
+function drawLineMesh(mesh, modelMatrix, color, mode, first, count) {
+    mat4.multiply(pwgl.viewMatrix, modelMatrix, pwgl.modelViewMatrix);
+    uploadModelViewMatrixToShader();
+    uploadProjectionMatrixToShader();
+    gl.uniform3fv(pwgl.uniformColorLoc, color);
+    gl.uniform1f(pwgl.uniformOpacityLoc, 1.0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    first = first || 0;
+    gl.drawArrays(mode, first, count === undefined ? mesh.vertexNumber - first : count);
+}
+
 
 
 // Code for satellite //////////////////////////////////////////////////////////
 
+/**
+ * Creates a satellite which can be added to the scene and controlled by the
+ * user, with a simple circular orbit.
+ * @param {Object} props Properties to override the defaults with
+ * @returns {Object} The satellite
+ */
+function createSatellite(props) {
+
+    var sat = createNode({
+        name: "Satellite",
+        mesh: "sat",
+        texture: "sat.jpg",
+        update: updateSat,
+        controllable: true,
+        attitude: createAttitude(), // Which way the satellite is facing
+        orbitAngle: Math.PI, // Progress around Earth (angular displacement)
+        orbitRadius: 16.0, // Orbital distance from Earth centre
+        orbitsPerDay: 1.0, // Complete orbits per (simulated) day
+        useKepler: false, // Use Keplerian orbital mechanics (toggle with K)
+        elements: null, // Keplerian orbital elements, set when useKepler is on
+
+        // Constants
+        minOrbitRadius: 8.0, // Prevents satellite clipping with Earth
+        burnDeltaV: 0.02 // Velocity change per frame of engine burn (km/s)
+    });
+
+    for (var key in props) {
+        sat[key] = props[key];
+    }
+    return sat;
+}
+
 /**
  * Defines the shape of the satellite and binds the necessary buffers.
  */
@@ -285,308 +627,3754 @@ function setupSatBuffers() {
         0.0, -1.0, 0.0  //v2
     ];
 
-    pwgl.sat.indexNumber = vertexIndices.length;
-    pwgl.sat.buffers = prepBuffers(
-            vertexPositions, vertexIndices, textureCoordinates, vertexNormals);
+    pwgl.meshes.sat = {
+        indexNumber: vertexIndices.length,
+        buffers: prepBuffers(
+                vertexPositions, vertexIndices, textureCoordinates, vertexNormals),
+        bounds: computeBounds(vertexPositions), // For picking
+        groups: [
+            {start: 0, count: 6, material: {texture: "sat.jpg"}}, // Front face
+            {start: 6, count: vertexIndices.length - 6, material: {texture: "sat2.jpg"}}
+        ]
+    };
 }
 
 /**
- * Updates the position and rotation of the satellite, then draws it.
+ * Updates the position and rotation of a satellite.
+ * @param {Object} sat The satellite
  * @param {int} dt Time passed since last update (in milliseconds)
+ * @param {int} realDt Real time passed since last update, which attitude is
+ * simulated in (in milliseconds)
  */
-function updateAndDrawSat(dt) {
-
-    var sat = pwgl.sat; // This is just for readability
+function updateSat(sat, dt, realDt) {
 
-    // Calculate orbit/rotation
-    sat.orbitAngle += (sat.orbitRPM / 60000) * dt * (2 * Math.PI);
-    sat.rotAngle = Math.PI + Math.PI / 2 - sat.orbitAngle;
+    var pos = sat.position; // This is just for readability
 
-    sat.x = sat.orbitRadius * Math.cos(sat.orbitAngle); // r cos(a)
-    sat.z = sat.orbitRadius * Math.sin(sat.orbitAngle); // r sin(a)
+    if (sat.useKepler) {
+        // Advance along the Keplerian orbit, then derive the drawn angles
+        updateKeplerOrbit(sat, dt / 1000);
+        sat.orbitRadius = vec3.length(pos);
+        sat.orbitAngle = Math.atan2(pos[2], pos[0]);
+    } else {
+        // Calculate orbit
+        sat.orbitAngle += (sat.orbitsPerDay / (SOLAR_DAY * 1000)) * dt * (2 * Math.PI);
+        pos[0] = sat.orbitRadius * Math.cos(sat.orbitAngle); // r cos(a)
+        pos[2] = sat.orbitRadius * Math.sin(sat.orbitAngle); // r sin(a)
+    }
 
-    drawObject(sat);
+    updateAttitude(sat, realDt);
 }
 
-
-
-// Code for Earth //////////////////////////////////////////////////////////////
-
 /**
- * Defines the shape of the Earth and binds the necessary buffers.
+ * Switches a satellite between the simple angular velocity orbit and
+ * Keplerian orbital mechanics, starting the new mode from the current
+ * position so the satellite does not jump.
+ * @param {Object} sat The satellite
  */
-function setupEarthBuffers() {
-
-    var pi = Math.PI; // This is just for readability
+function toggleKeplerMode(sat) {
+
+    if (sat.useKepler) {
+        // Back to a flat circle at the current distance
+        sat.orbitRadius = Math.max(sat.orbitRadius, sat.minOrbitRadius);
+        sat.position[1] = 0.0;
+        sat.useKepler = false;
+        return;
+    }
 
-    var m = pwgl.earth.latitudeStrips + 1;
-    var n = pwgl.earth.longitudeStrips + 1;
+    // Enter a circular orbit in the direction the satellite was travelling.
+    // Positive speed is clockwise when viewed from above, which is retrograde.
+    var r = sceneToEci(sat.position);
+    var speed = Math.sqrt(sceneMu() / vec3.length(r));
+    var v = [0, 0, 0];
+    vec3.cross([0, 0, sat.orbitsPerDay >= 0 ? -1 : 1], r, v);
+    vec3.scale(vec3.normalize(v), speed);
 
-    var vertexPositions = [];
-    var textureCoordinates = [];
-    var vertexNormals = [];
+    sat.elements = stateToKepler(r, v);
+    sat.useKepler = true;
+}
 
-    for (var i = 0; i <= m; i++) { // Latitude
-        for (var j = 0; j <= n; j++) { // Longitude
 
-            // VERTEX POSITION & NORMAL
-            var nx = Math.sin(i * pi / m) * Math.cos(2 * j * pi / n);
-            var ny = Math.cos(i * pi / m);
-            var nz = Math.sin(i * pi / m) * Math.sin(2 * j * pi / n);
 
-            vertexNormals.push(nx);
-            vertexNormals.push(ny);
-            vertexNormals.push(nz);
+// Code for models /////////////////////////////////////////////////////////////
 
-            // For a uniform sphere: vertex position = vertex normal * radius
-            vertexPositions.push(nx * pwgl.earth.radius);
-            vertexPositions.push(ny * pwgl.earth.radius);
-            vertexPositions.push(nz * pwgl.earth.radius);
+/**
+ * Loads a Wavefront OBJ model, which can then be used as the mesh of a
+ * satellite. It is scaled to fit the same box as the built-in satellite.
+ * @param {String} name Name of the model
+ * @param {String} objText Contents of the .obj file
+ * @param {String} mtlText Contents of its .mtl file (optional)
+ * @param {Object} textureUrls Urls to load the images named in the .mtl file
+ * from, by file name (optional). Images not listed are loaded relative to the
+ * page. Blob urls are revoked when the model is replaced.
+ * @returns {String} Name of the mesh, for a satellite's mesh property
+ */
+function loadModel(name, objText, mtlText, textureUrls) {
+
+    textureUrls = textureUrls || {};
+    var model = parseOBJ(objText);
+    var materials = mtlText ? parseMTL(mtlText) : {};
+
+    // Centre the model in the box from -1 to 1, like the built-in satellite
+    var bounds = computeBounds(model.positions);
+    var size = 0;
+    var centre = [0, 0, 0];
+    for (var i = 0; i < 3; i++) {
+        size = Math.max(size, bounds.max[i] - bounds.min[i]);
+        centre[i] = (bounds.max[i] + bounds.min[i]) / 2;
+    }
+    var scale = size > 0 ? 2 / size : 1;
+    for (var i = 0; i < model.positions.length; i++) {
+        model.positions[i] = (model.positions[i] - centre[i % 3]) * scale;
+    }
 
-            // TEXTURE COORDINATES
-            // i and j subtracted from m and n to flip texture right way up
-            textureCoordinates.push((n-j) / n);
-            textureCoordinates.push((m-i) / m);
+    for (var i = 0; i < model.groups.length; i++) {
+        var material = materials[model.groups[i].materialName] || {};
+        if (material.texture !== undefined) {
+            var fileName = material.texture.split(/[\\/]/).pop();
+            if (textureUrls[fileName] !== undefined) {
+                material.texture = textureUrls[fileName];
+            }
         }
+        model.groups[i].material = material;
     }
 
-    var indexData = [];
-    for (var i = 0; i < m; i++) {
-        for (var j = 0; j < n; j++) {
-
-            var v1 = i * (n + 1) + j;   //index of vi,j  
-            var v2 = v1 + n + 1;        //index of vi+1,j
-            var v3 = v1 + 1;            //index of vi,j+1 
-            var v4 = v2 + 1;            //index of vi+1,j+1  
-            // indices of first triangle
-            indexData.push(v1);
-            indexData.push(v2);
-            indexData.push(v3);
-            // indices of second triangle
-            indexData.push(v3);
-            indexData.push(v2);
-            indexData.push(v4);
+    // A model loaded again under the same name replaces the old one, so its
+    // buffers and images are freed
+    var meshName = "model:" + name;
+    var oldMesh = pwgl.meshes[meshName];
+    if (oldMesh !== undefined) {
+        for (var key in oldMesh.buffers) {
+            gl.deleteBuffer(oldMesh.buffers[key]);
         }
     }
-
-    pwgl.earth.indexNumber = indexData.length;
-    pwgl.earth.buffers = prepBuffers(
-            vertexPositions, indexData, textureCoordinates, vertexNormals);
+    if (pwgl.models[meshName] !== undefined) {
+        revokeTextureUrls(pwgl.models[meshName].textureUrls);
+    }
+    model.textureUrls = textureUrls;
+    pwgl.models[meshName] = model;
+    pwgl.meshes[meshName] = createModelMesh(model);
+    return meshName;
 }
 
 /**
- * Updates the rotation of the Earth, then draws it.
- * @param {int} dt Time passed since last update (in milliseconds)
+ * Frees the images of a model which were read from files the user chose, once
+ * the model is no longer used. Other urls are left to whoever gave them.
+ * @param {Object} textureUrls Urls of the images, by file name
  */
-function updateAndDrawEarth(dt) {
-
-    // Calculate rotation
-    pwgl.earth.rotAngle += (pwgl.earth.RPM / 60000) * dt * (2 * Math.PI);
-    drawObject(pwgl.earth);
+function revokeTextureUrls(textureUrls) {
+    for (var fileName in textureUrls) {
+        var url = textureUrls[fileName];
+        if (url.indexOf("blob:") !== 0) {
+            continue; // Not made by handleModelFilesSelected
+        }
+        URL.revokeObjectURL(url);
+        if (pwgl.textures[url] !== undefined) {
+            gl.deleteTexture(pwgl.textures[url]);
+            delete pwgl.textures[url];
+            delete pwgl.loadedTextures[url];
+        }
+    }
 }
 
-
-
-// Code for drawing / displaying ///////////////////////////////////////////////
-
 /**
- * Draws the scene.
+ * Creates the buffers of a model loaded by loadModel.
+ * @param {Object} model The model, from parseOBJ
+ * @returns {Object} The mesh
  */
-function draw() {
-    pwgl.requestId = requestAnimFrame(draw);
-
-    var currentTime = Date.now();
-
-    handlePressedDownKeys();
-
-    updateDisplay(currentTime);
+function createModelMesh(model) {
+    return {
+        indexNumber: model.indices.length,
+        buffers: prepBuffers(model.positions, model.indices,
+                model.textureCoordinates, model.normals),
+        bounds: computeBounds(model.positions), // For picking
+        groups: model.groups
+    };
+}
 
-    // Ensure variables are set
-    if (pwgl.lastFrameTime === undefined) {
-        pwgl.lastFrameTime = Date.now();
+/**
+ * Creates the buffers of every model loaded, when the context is restored.
+ */
+function setupModelBuffers() {
+    for (var name in pwgl.models) {
+        pwgl.meshes[name] = createModelMesh(pwgl.models[name]);
     }
-
-    var dt = currentTime - pwgl.lastFrameTime;
-
-    updateAndDrawEarth(dt);
-    updateAndDrawSat(dt);
-
-    pwgl.lastFrameTime = currentTime;
-    pwgl.nbrOfFramesForFPS++;
 }
 
 /**
- * Performs display updates necessary each draw cycle.
- * This includes handling camera movement, updating the FPS counter and other
- * variable displays, and uploading data to the shader.
- * @param {int} currentTime The current time in milliseconds
+ * Reads the vertices and faces of a Wavefront OBJ file. Polygons are split
+ * into triangles, and faces without normals are given the normal of the
+ * face. Faces are grouped by the material they use.
+ * @param {String} text Contents of the file
+ * @returns {Object} Vertex arrays and indices ready for prepBuffers, the
+ * groups of indices ({start, count, materialName}) and the names of the
+ * material libraries
  */
-function updateDisplay(currentTime) {
+function parseOBJ(text) {
+
+    var filePositions = [];
+    var fileTextureCoordinates = [];
+    var fileNormals = [];
+
+    var model = {
+        positions: [],
+        textureCoordinates: [],
+        normals: [],
+        indices: [],
+        groups: [],
+        materialLibraries: []
+    };
+    var vertices = {}; // Index of each combination of position, texture and normal
+
+    /**
+     * Finds the position in a list of an index in the file, which counts from
+     * 1, or back from the end of the list so far if negative.
+     */
+    var findIndex = function (list, index, lineNumber) {
+        var i = parseInt(index, 10);
+        i = i < 0 ? list.length + i : i - 1;
+        if (list[i] === undefined) {
+            throw "Error parseOBJ() - Line " + lineNumber + ": no vertex " + index;
+        }
+        return i;
+    };
 
-    // Update variable display
-    var orbitDir = pwgl.sat.orbitRPM >= 0 ? "clockwise" : "anticlockwise";
-    var orbitRPMRounded = Math.round(Math.abs(pwgl.sat.orbitRPM));
-    pwgl.displayOrbitRPM.innerHTML = orbitRPMRounded + " (" + orbitDir + ")";
-    pwgl.displayOrbitRadius.innerHTML = Math.round(pwgl.sat.orbitRadius);
+    var startGroup = function (materialName) {
+        var last = model.groups[model.groups.length - 1];
+        if (last !== undefined && last.count === 0) {
+            model.groups.pop();
+        }
+        model.groups.push({start: model.indices.length, count: 0, materialName: materialName});
+    };
+    startGroup(null);
+
+    var lines = text.split("\n");
+    for (var n = 0; n < lines.length; n++) {
+        var parts = lines[n].trim().split(/\s+/);
+        var numbers = parts.slice(1).map(parseFloat);
+
+        switch (parts[0]) {
+            case "v":
+                filePositions.push(numbers.slice(0, 3));
+                break;
+            case "vt":
+                fileTextureCoordinates.push([numbers[0], numbers[1] || 0]);
+                break;
+            case "vn":
+                fileNormals.push(numbers.slice(0, 3));
+                break;
+            case "usemtl":
+                startGroup(parts[1]);
+                break;
+            case "mtllib":
+                model.materialLibraries = model.materialLibraries.concat(parts.slice(1));
+                break;
+            case "f":
+                var corners = parts.slice(1).map(function (corner) {
+                    return corner.split("/");
+                });
+                if (corners.length < 3) {
+                    throw "Error parseOBJ() - Line " + (n + 1) + ": face with fewer than 3 vertices";
+                }
+
+                // Normal of the face, for corners without one
+                var a = filePositions[findIndex(filePositions, corners[0][0], n + 1)];
+                var b = filePositions[findIndex(filePositions, corners[1][0], n + 1)];
+                var c = filePositions[findIndex(filePositions, corners[2][0], n + 1)];
+                var faceNormal = vec3.normalize(vec3.cross(
+                        vec3.subtract(b, a, [0, 0, 0]), vec3.subtract(c, a, [0, 0, 0]), [0, 0, 0]));
+
+                var indices = [];
+                for (var i = 0; i < corners.length; i++) {
+                    var corner = corners[i];
+
+                    // Negative indices mean different vertices on each line,
+                    // so vertices are told apart by where they are in the file
+                    var p = findIndex(filePositions, corner[0], n + 1);
+                    var t = corner[1] !== undefined && corner[1] !== "" ?
+                            findIndex(fileTextureCoordinates, corner[1], n + 1) : null;
+                    var nrm = corner[2] !== undefined && corner[2] !== "" ?
+                            findIndex(fileNormals, corner[2], n + 1) : null;
+                    var key = p + "/" + t + "/" + (nrm !== null ? nrm : faceNormal.join(","));
+                    if (vertices[key] === undefined) {
+                        var position = filePositions[p];
+                        var textureCoordinate = t !== null ? fileTextureCoordinates[t] : [0, 0];
+                        var normal = nrm !== null ? fileNormals[nrm] : faceNormal;
+
+                        vertices[key] = model.positions.length / 3;
+                        model.positions.push(position[0], position[1], position[2]);
+                        model.textureCoordinates.push(textureCoordinate[0], textureCoordinate[1]);
+                        model.normals.push(normal[0], normal[1], normal[2]);
+                    }
+                    indices.push(vertices[key]);
+                }
+
+                // Split into a fan of triangles
+                for (var i = 1; i < indices.length - 1; i++) {
+                    model.indices.push(indices[0], indices[i], indices[i + 1]);
+                }
+                model.groups[model.groups.length - 1].count += 3 * (indices.length - 2);
+                break;
+        }
+    }
 
+    if (model.indices.length === 0) {
+        throw "Error parseOBJ() - The model has no faces";
+    }
+    if (model.positions.length / 3 > 65536) {
+        throw "Error parseOBJ() - The model has more than 65536 vertices";
+    }
+    if (model.groups[model.groups.length - 1].count === 0) {
+        model.groups.pop();
+    }
+    return model;
+}
 
-    // Update FPS if a second or more has passed since last FPS update
-    if (currentTime - pwgl.lastFPSupdateTime >= 1000) {
-        pwgl.fpsCounter.innerHTML = pwgl.nbrOfFramesForFPS;
-        pwgl.nbrOfFramesForFPS = 0;
-        pwgl.lastFPSupdateTime = currentTime;
+/**
+ * Reads the materials of a Wavefront MTL file. Only the diffuse colour and
+ * texture are used.
+ * @param {String} text Contents of the file
+ * @returns {Object} Materials, as {color, texture}, by name
+ */
+function parseMTL(text) {
+
+    var materials = {};
+    var material = null;
+
+    var lines = text.split("\n");
+    for (var n = 0; n < lines.length; n++) {
+        var parts = lines[n].trim().split(/\s+/);
+
+        if (parts[0] === "newmtl") {
+            material = {};
+            materials[parts[1]] = material;
+        } else if (material === null) {
+            continue;
+        } else if (parts[0] === "Kd") {
+            material.color = parts.slice(1, 4).map(parseFloat);
+        } else if (parts[0] === "map_Kd") {
+            material.texture = parts[parts.length - 1]; // After any options
+        }
     }
+    return materials;
+}
 
-    // Apply camera movement
-    mat4.translate(pwgl.modelViewMatrix, [transX, transY, transZ], pwgl.modelViewMatrix);
-    
-    // Apply camera rotation
-    mat4.rotateX(pwgl.modelViewMatrix, xRot / 50, pwgl.modelViewMatrix);
-    mat4.rotateY(pwgl.modelViewMatrix, yRot / 50, pwgl.modelViewMatrix);
-    
-    // Apply camera zoom
-    mat4.perspective(pwgl.zoom, pwgl.aspectRatio, 1, 100.0, pwgl.projectionMatrix);
 
 
-    // Reset accumulated camera move commands (prevents accelerating infinity)
-    yRot = xRot = zRot = transY = transZ = transX = 0;
+// Code for attitude ///////////////////////////////////////////////////////////
 
-    uploadModelViewMatrixToShader();
-    uploadNormalMatrixToShader();
+/*
+ * Ways a satellite's attitude can be controlled. In the pointing modes the
+ * satellite turns itself to face a target: its +z axis (the front face)
+ * towards the Earth with +x along the direction of travel, its +z axis
+ * towards the Sun, or whichever way it faced when the mode was chosen. In
+ * free tumble it keeps spinning as it is.
+ *
+ * Turning is simulated in real time rather than simulated time, so it can be
+ * seen and controlled at any clock speed, even while the clock is paused. In
+ * the pointing modes the satellite's state is kept relative to its target, so
+ * it keeps up with a target that moves quickly because the clock is fast.
+ */
+var ATTITUDE_MODES = {
+    nadir: {name: "Nadir pointing"},
+    sun: {name: "Sun pointing"},
+    inertial: {name: "Inertial"},
+    tumble: {name: "Free tumble"}
+};
 
-    gl.uniform1i(pwgl.uniformSamplerLoc, 0);
+/**
+ * Creates the attitude state of a satellite. The orientation itself is the
+ * satellite's rotation quaternion.
+ * @returns {Object} The attitude
+ */
+function createAttitude() {
+    return {
+        mode: "nadir",
+        angularVelocity: [0, 0, 0], // About the satellite's own axes, relative to the target when pointing (rad/s)
+        offset: [0, 0, 0, 1], // Rotation from the target to the satellite when pointing
+        inertialRotation: null, // Rotation held in inertial mode
+        reset: true, // Turn straight to the target on the next update
 
-    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        // Constants
+        torqueAcceleration: 0.5, // From full user torque (rad/s^2)
+        maxAcceleration: 0.5, // Most the pointing modes can turn with (rad/s^2)
+        gain: 0.5, // Acceleration per radian off target in pointing modes (1/s^2)
+        maxStep: 0.05, // Longest step turning is simulated with (s)
+        maxSteps: 20 // Beyond this the satellite is put straight on target
+    };
 }
 
 /**
- * Draws the provided object
- * @param {Object} obj
+ * Switches a satellite to the next attitude mode.
+ * @param {Object} sat The satellite
  */
-function drawObject(obj) {
-
-    pushModelViewMatrix();
+function nextAttitudeMode(sat) {
+    var modes = Object.keys(ATTITUDE_MODES);
+    var mode = modes[(modes.indexOf(sat.attitude.mode) + 1) % modes.length];
+    setAttitudeMode(sat, mode);
+}
 
-    mat4.translate(pwgl.modelViewMatrix, [obj.x, obj.y, obj.z], pwgl.modelViewMatrix);
-    mat4.rotateY(pwgl.modelViewMatrix, obj.rotAngle, pwgl.modelViewMatrix);
-    if(obj.scale !== 1){
-        mat4.scale(pwgl.modelViewMatrix, [obj.scale, obj.scale, obj.scale], pwgl.modelViewMatrix);
+/**
+ * Switches a satellite's attitude mode. The satellite turns to the new
+ * target rather than jumping to it.
+ * @param {Object} sat The satellite
+ * @param {String} mode Key of ATTITUDE_MODES
+ */
+function setAttitudeMode(sat, mode) {
+    if (ATTITUDE_MODES[mode] === undefined) {
+        throw "Error setAttitudeMode() - Unknown attitude mode: " + mode;
     }
 
-    uploadModelViewMatrixToShader();
-    uploadNormalMatrixToShader();
-    uploadProjectionMatrixToShader();
-
-    // Bind position buffer
-    gl.bindBuffer(gl.ARRAY_BUFFER, obj.buffers.vertexPosition);
-    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
-
-    // Bind normal buffer
-    gl.bindBuffer(gl.ARRAY_BUFFER, obj.buffers.vertexNormal);
-    gl.vertexAttribPointer(pwgl.vertexNormalAttributeLoc, 3, gl.FLOAT, false, 0, 0);
-    
-    // Bind index buffer
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obj.buffers.vertexIndex);
-
-    // Bind texture coordinate buffer
-    gl.bindBuffer(gl.ARRAY_BUFFER, obj.buffers.vertexTextureCoordinate);
-    gl.vertexAttribPointer(pwgl.vertexTextureAttributeLoc, 2, gl.FLOAT, false, 0, 0);
-    gl.activeTexture(gl.TEXTURE0);
-
-    gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+    var attitude = sat.attitude; // This is just for readability
+    attitude.mode = mode;
+    if (mode === "inertial") {
+        attitude.inertialRotation = quat4.create(sat.rotation);
+    }
 
-    if (obj.texture2 !== undefined) { // for satellite
+    // Start from where the satellite is now, relative to the new target
+    var target = getAttitudeTarget(sat);
+    if (target !== null) {
+        quat4.multiply(quat4.inverse(target), sat.rotation, attitude.offset);
+    }
+}
 
-        // Draw first face with texture
-        gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+/**
+ * Finds the rotation a satellite is turning to in its attitude mode.
+ * @param {Object} sat The satellite
+ * @returns {quat4} The target rotation, or null if there is none
+ */
+function getAttitudeTarget(sat) {
 
-        // Draw other faces with texture2
-        gl.bindTexture(gl.TEXTURE_2D, obj.texture2);
-        gl.drawElements(gl.TRIANGLES, obj.indexNumber - 6, gl.UNSIGNED_SHORT, 12);
+    var attitude = sat.attitude; // This is just for readability
+    var z, other;
 
+    if (attitude.mode === "inertial") {
+        return quat4.create(attitude.inertialRotation);
+    }
+    if (attitude.mode === "nadir") {
+        // Satellites are positioned relative to the centre of the Earth
+        var forward = predictDirectionOfTravel(sat);
+        if (forward === null) {
+            return null;
+        }
+        z = vec3.normalize(vec3.negate(sat.position, [0, 0, 0]));
+        other = forward;
+    } else if (attitude.mode === "sun" && pwgl.sun !== undefined) {
+        z = vec3.create(pwgl.sun.direction);
+        other = Math.abs(z[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
     } else {
-        // Draw with texture on all faces
-        gl.drawElements(gl.TRIANGLES, obj.indexNumber, gl.UNSIGNED_SHORT, 0);
+        return null;
     }
 
-    popModelViewMatrix();
+    var y = vec3.normalize(vec3.cross(z, other, [0, 0, 0]));
+    var x = vec3.cross(y, z, [0, 0, 0]);
+    return quatFromBasis(x, y, z, quat4.create());
 }
 
-
-// User Interaction ////////////////////////////////////////////////////////////
-
 /**
- * Handles user interaction through key-presses.
+ * Turns a satellite by its angular velocity, which is changed by the torque
+ * applied by the user (to the controlled satellite only) and, in the pointing
+ * modes, by the satellite turning towards its target. As the satellite is a
+ * cube it spins steadily without torque.
+ * @param {Object} sat The satellite
+ * @param {int} realDt Real time passed since last update (in milliseconds)
  */
-function handlePressedDownKeys() {
+function updateAttitude(sat, realDt) {
 
-    var sat = pwgl.sat; // Just for readability
+    var attitude = sat.attitude; // This is just for readability
+    var omega = attitude.angularVelocity;
+    var seconds = realDt / 1000;
+    var pointing = attitude.mode !== "tumble";
 
-    // Arrow up, increase orbit radius
-    if (pwgl.listOfPressedKeys[38]) {
-        sat.orbitRadius += 0.1;
+    var target = pointing ? getAttitudeTarget(sat) : null;
+    if (pointing && target === null) {
+        return; // Hold still until there is something to point at
     }
 
-    // Arrow down, decrease orbit radius
-    if (pwgl.listOfPressedKeys[40]) {
-        sat.orbitRadius -= 0.1;
-        if (sat.orbitRadius < sat.minOrbitRadius) {
-            sat.orbitRadius = sat.minOrbitRadius;
-        }
+    // Too long since the last update (e.g. the page was hidden) to follow
+    var steps = Math.ceil(seconds / attitude.maxStep);
+    if (pointing && (attitude.reset || steps > attitude.maxSteps)) {
+        quat4.set([0, 0, 0, 1], attitude.offset);
+        omega[0] = omega[1] = omega[2] = 0;
+        attitude.reset = false;
+        steps = 0;
     }
 
-    // Arrow right, increase sat speed
-    if (pwgl.listOfPressedKeys[39]) {
-        sat.orbitRPM += 0.2;
+    // Turning relative to the target when pointing
+    var rotation = pointing ? attitude.offset : sat.rotation;
+    var h = seconds / Math.max(steps, 1);
+    var torque = sat === pwgl.activeSat ? pwgl.attitudeTorque : [0, 0, 0];
+    var acceleration = [0, 0, 0];
+    var error = [0, 0, 0];
+    for (var i = 0; i < steps; i++) {
+        vec3.scale(torque, attitude.torqueAcceleration, acceleration);
+
+        if (pointing) {
+            // Rotation back to the target, about the satellite's own axes,
+            // by the shorter way round
+            var q = quat4.inverse(rotation, pwgl.tempQuat);
+            if (q[3] < 0) {
+                q[0] = -q[0];
+                q[1] = -q[1];
+                q[2] = -q[2];
+                q[3] = -q[3];
+            }
+            var sinHalf = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2]);
+            var angle = 2 * Math.atan2(sinHalf, q[3]);
+            vec3.scale(q, sinHalf > 0 ? angle / sinHalf : 0, error);
+
+            // Turn towards it, slowing down to arrive without overshooting
+            var control = vec3.subtract(vec3.scale(error, attitude.gain, [0, 0, 0]),
+                    vec3.scale(omega, 2 * Math.sqrt(attitude.gain), [0, 0, 0]));
+            var size = vec3.length(control);
+            if (size > attitude.maxAcceleration) {
+                vec3.scale(control, attitude.maxAcceleration / size);
+            }
+            vec3.add(acceleration, control);
+        }
+
+        vec3.add(omega, vec3.scale(acceleration, h, [0, 0, 0]));
+
+        var speed = vec3.length(omega);
+        if (speed > 0) {
+            var axis = vec3.scale(omega, 1 / speed, [0, 0, 0]);
+            quat4.multiply(rotation, quatFromAxisAngle(axis, speed * h, pwgl.tempQuat));
+            quat4.normalize(rotation);
+        }
     }
 
-    // Arrow left, decrease sat speed
-    if (pwgl.listOfPressedKeys[37]) {
-        sat.orbitRPM -= 0.2;
-//        // Uncomment to prevent reverse orbital direction
-//        if (sat.orbitRPM < 0.0) {
-//            sat.orbitRPM = 0.0;
-//        }
+    if (pointing) {
+        quat4.multiply(target, attitude.offset, sat.rotation);
     }
 }
 
+
+
+// Code for sensors ////////////////////////////////////////////////////////////
+
 /**
- * Handles user interaction through dragging the mouse.
- * @param {Event} ev
+ * Creates a sensor, shown as a translucent cone from a satellite out to the
+ * Earth, with the area it covers outlined on the ground.
+ * @param {Object} props Properties to override the defaults with
+ * @returns {Object} The sensor, to be added to the scene attached to a
+ * satellite
  */
-function handleMouseAction(ev){
-    if (ev.shiftKey) {
-        transZ = (ev.clientY - yOffs) / 10; // Move on Z axis with shift
-    } else if (ev.ctrlKey) {
-        transX = (ev.clientY - yOffs) / 10; // Move on X axis with ctrl
-    } else if (ev.altKey) {
-        transY = -(ev.clientY - yOffs) / 10;// Move on Y axis with alt
-    } else {
-        yRot = -xOffs + ev.clientX;         // Otherwise rotate
-        xRot = -yOffs + ev.clientY;
+function createSensor(props) {
+
+    var sensor = createNode({
+        name: "Sensor",
+        mesh: "sensor",
+        update: updateSensor,
+        transparent: true,
+        color: [1.0, 0.8, 0.3], // Drawn in a single colour, without a texture
+        opacity: 0.25,
+        footprintColor: [1.0, 0.8, 0.3],
+        show: true,
+        halfAngle: 15, // Degrees from the centre of the cone to its edge
+        pointing: "nadir" // Or a direction relative to the satellite
+    });
+
+    for (var key in props) {
+        sensor[key] = props[key];
     }
-    xOffs = ev.clientX;
-    yOffs = ev.clientY;
+    return sensor;
 }
 
 /**
- * Handles user interaction through the mouse-wheel.
+ * Defines the shape of sensor cones: the sides of a cone with its point at
+ * the origin, opening along +z to a circle of radius 1 at z = 1. It is
+ * scaled to the size of each sensor.
+ */
+function setupSensorBuffers() {
+
+    var segments = 32;
+    var vertexPositions = [];
+    var vertexIndices = [];
+    var textureCoordinates = [];
+    var vertexNormals = [];
+
+    // A point and an edge vertex for each segment, so the texture can wrap
+    for (var i = 0; i <= segments; i++) {
+        var angle = 2 * Math.PI * i / segments;
+        var x = Math.cos(angle);
+        var y = Math.sin(angle);
+
+        vertexPositions.push(0, 0, 0, x, y, 1);
+        textureCoordinates.push(i / segments, 0, i / segments, 1);
+        vertexNormals.push(x / Math.SQRT2, y / Math.SQRT2, -1 / Math.SQRT2,
+                x / Math.SQRT2, y / Math.SQRT2, -1 / Math.SQRT2);
+
+        if (i < segments) {
+            vertexIndices.push(2 * i, 2 * i + 1, 2 * i + 3);
+        }
+    }
+
+    pwgl.meshes.sensor = {
+        indexNumber: vertexIndices.length,
+        buffers: prepBuffers(
+                vertexPositions, vertexIndices, textureCoordinates, vertexNormals)
+    };
+
+    // Outline of where a cone meets the Earth, see drawSensorFootprints
+    pwgl.meshes.sensorFootprint = createLineMesh(segments * 2);
+}
+
+/**
+ * Points a sensor and stretches it to reach the Earth. This must be called
+ * after its satellite is updated.
+ * @param {Object} sensor The sensor
+ */
+function updateSensor(sensor) {
+
+    var sat = sensor.parent;
+    sensor.hidden = !sensor.show || sat.hidden === true;
+
+    // Satellites are positioned relative to the centre of the Earth, so the
+    // distance to it is the length of their position
+    var distance = vec3.length(sat.position);
+    var direction;
+    if (sensor.pointing === "nadir") {
+        var inverse = quat4.inverse(sat.rotation, pwgl.tempQuat);
+        direction = quat4.multiplyVec3(inverse, vec3.negate(sat.position, [0, 0, 0]));
+    } else {
+        direction = vec3.create(sensor.pointing);
+    }
+    vec3.normalize(direction);
+
+    // Turn the cone's z axis to the direction
+    var other = Math.abs(direction[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    var x = vec3.normalize(vec3.cross(other, direction, [0, 0, 0]));
+    var y = vec3.cross(direction, x, [0, 0, 0]);
+    quatFromBasis(x, y, direction, sensor.rotation);
+
+    // Undo the satellite's scale, which is only for the size of its model
+    var width = distance * Math.tan(sensor.halfAngle * Math.PI / 180) / sat.scale[0];
+    sensor.scale[0] = width;
+    sensor.scale[1] = width;
+    sensor.scale[2] = distance / sat.scale[0];
+}
+
+/**
+ * Shows or hides the sensor of a satellite, giving it one if it has none.
+ * @param {Object} sat The satellite
+ */
+function toggleSensor(sat) {
+    var sensor = sat.children.filter(function (child) {
+        return child.mesh === "sensor";
+    })[0];
+    if (sensor === undefined) {
+        pwgl.scene.add(createSensor({name: sat.name + " sensor"}), sat.id);
+    } else {
+        sensor.show = !sensor.show;
+    }
+}
+
+/**
+ * Draws an object in a single colour, blended by its opacity, such as a
+ * sensor cone.
+ * @param {Object} obj
+ */
+function drawFlatObject(obj) {
+
+    var mesh = pwgl.meshes[obj.mesh];
+
+    mat4.multiply(pwgl.viewMatrix, obj.worldMatrix, pwgl.modelViewMatrix);
+    uploadModelViewMatrixToShader();
+    uploadProjectionMatrixToShader();
+    gl.uniform3fv(pwgl.uniformColorLoc, obj.color);
+    gl.uniform1f(pwgl.uniformOpacityLoc, obj.opacity !== undefined ? obj.opacity : 1.0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.buffers.vertexIndex);
+    gl.drawElements(gl.TRIANGLES, mesh.indexNumber, gl.UNSIGNED_SHORT, 0);
+}
+
+/**
+ * Outlines where each sensor's cone meets the Earth. Edges of the cone which
+ * miss the Earth are drawn at the horizon instead.
+ */
+function drawSensorFootprints() {
+
+    var objects = pwgl.scene.objects;
+    var centre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+    var height = pwgl.earth.radius * 1.003; // Just above the surface so it is not hidden by it
+    var samples = pwgl.meshes.sensorFootprint.maxVertices;
+
+    for (var i = 0; i < objects.length; i++) {
+        var sensor = objects[i];
+        if (sensor.mesh !== "sensor" || sensor.hidden) {
+            continue;
+        }
+
+        // The cone's axes in the world, scaled by its size
+        var m = sensor.worldMatrix;
+        var side = [m[0], m[1], m[2]];
+        var up = [m[4], m[5], m[6]];
+        var axis = [m[8], m[9], m[10]];
+        var ray = {origin: getWorldPosition(sensor, [0, 0, 0]), direction: [0, 0, 0]};
+
+        var positions = [];
+        for (var j = 0; j < samples; j++) {
+            var angle = 2 * Math.PI * j / samples;
+            for (var k = 0; k < 3; k++) {
+                ray.direction[k] = axis[k] + Math.cos(angle) * side[k] + Math.sin(angle) * up[k];
+            }
+            var t = intersectSphere(ray, centre, height);
+            if (t === null) {
+                // Closest the edge comes to the Earth
+                t = Math.max(0, -vec3.dot(vec3.subtract(ray.origin, centre, [0, 0, 0]), ray.direction) /
+                        vec3.dot(ray.direction, ray.direction));
+            }
+            var point = vec3.add(ray.origin, vec3.scale(ray.direction, t, [0, 0, 0]), [0, 0, 0]);
+            vec3.scale(vec3.normalize(vec3.subtract(point, centre)), height);
+            positions.push(centre[0] + point[0], centre[1] + point[1], centre[2] + point[2]);
+        }
+
+        if (positions.length > 0) {
+            useProgram(pwgl.programs.line);
+            updateLineMesh(pwgl.meshes.sensorFootprint, positions);
+            drawLineMesh(pwgl.meshes.sensorFootprint, mat4.identity(pwgl.tempMatrix),
+                    sensor.footprintColor, gl.LINE_LOOP);
+        }
+    }
+}
+
+
+
+// Orbital mechanics ///////////////////////////////////////////////////////////
+
+/*
+ * Keplerian orbits are calculated in an Earth-centred inertial frame with Z
+ * through the north pole, using the same distance units as the scene so that
+ * orbits can be compared directly to earth.radius. Angles are in radians.
+ *
+ * Orbital elements are stored as:
+ *  semiMajorAxis (scene units), eccentricity, inclination,
+ *  raan (right ascension of the ascending node), argPerigee (argument of
+ *  perigee) and meanAnomaly.
+ */
+
+/**
+ * Gets the number of kilometres represented by one unit of scene distance.
+ * @returns {Number}
+ */
+function kmPerUnit() {
+    return EARTH_RADIUS_KM / pwgl.earth.radius;
+}
+
+/**
+ * Gets Earth's gravitational parameter in scene units (units^3/s^2).
+ * @returns {Number}
+ */
+function sceneMu() {
+    var k = kmPerUnit();
+    return EARTH_MU / (k * k * k);
+}
+
+/**
+ * Converts a vector in the inertial frame into scene coordinates.
+ * The scene has Y through the north pole, and the texture on the Earth places
+ * longitude 0 on -X and longitude 90 East on +Z when rotAngle is 0.
+ * @param {Array} v Vector in the inertial frame
+ * @returns {Array} Vector in scene coordinates
+ */
+function eciToScene(v) {
+    return [-v[0], v[2], v[1]];
+}
+
+/**
+ * Converts a vector in scene coordinates into the inertial frame.
+ * @param {Array} v Vector in scene coordinates
+ * @returns {Array} Vector in the inertial frame
+ */
+function sceneToEci(v) {
+    return [-v[0], v[2], v[1]];
+}
+
+/**
+ * Solves Kepler's equation (M = E - e sin E) for the eccentric anomaly using
+ * Newton's method.
+ * @param {Number} M Mean anomaly
+ * @param {Number} e Eccentricity (less than 1)
+ * @returns {Number} Eccentric anomaly
+ */
+function solveKepler(M, e) {
+    var E = e < 0.8 ? M : Math.PI;
+    for (var i = 0; i < 30; i++) {
+        var delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) {
+            break;
+        }
+    }
+    return E;
+}
+
+/**
+ * Calculates position and velocity from a set of orbital elements.
+ * @param {Object} el Orbital elements
+ * @returns {Object} position and velocity in the inertial frame
+ */
+function keplerToState(el) {
+    var a = el.semiMajorAxis;
+    var e = el.eccentricity;
+    var mu = sceneMu();
+
+    // Position and velocity within the plane of the orbit (perifocal frame)
+    var E = solveKepler(el.meanAnomaly, e);
+    var trueAnomaly = 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+    var r = a * (1 - e * Math.cos(E));
+    var vScale = Math.sqrt(mu / (a * (1 - e * e)));
+
+    var px = r * Math.cos(trueAnomaly);
+    var py = r * Math.sin(trueAnomaly);
+    var vx = -vScale * Math.sin(trueAnomaly);
+    var vy = vScale * (e + Math.cos(trueAnomaly));
+
+    // Rotate by argument of perigee, inclination, then RAAN
+    var cO = Math.cos(el.raan), sO = Math.sin(el.raan);
+    var ci = Math.cos(el.inclination), si = Math.sin(el.inclination);
+    var cw = Math.cos(el.argPerigee), sw = Math.sin(el.argPerigee);
+
+    var m11 = cO * cw - sO * sw * ci, m12 = -cO * sw - sO * cw * ci;
+    var m21 = sO * cw + cO * sw * ci, m22 = -sO * sw + cO * cw * ci;
+    var m31 = sw * si, m32 = cw * si;
+
+    return {
+        position: [m11 * px + m12 * py, m21 * px + m22 * py, m31 * px + m32 * py],
+        velocity: [m11 * vx + m12 * vy, m21 * vx + m22 * vy, m31 * vx + m32 * vy]
+    };
+}
+
+/**
+ * Calculates the orbital elements of an object from its position and
+ * velocity. Circular and equatorial orbits are given an argument of perigee
+ * and RAAN of 0 respectively, with the angle carried by the mean anomaly.
+ * @param {Array} r Position in the inertial frame
+ * @param {Array} v Velocity in the inertial frame
+ * @returns {Object} Orbital elements
+ */
+function stateToKepler(r, v) {
+    var mu = sceneMu();
+    var rLen = vec3.length(r);
+    var vLen = vec3.length(v);
+
+    var h = vec3.cross(r, v, [0, 0, 0]); // Specific angular momentum
+    var hLen = vec3.length(h);
+
+    var rDotV = vec3.dot(r, v);
+    var eVec = [0, 0, 0]; // Points towards perigee
+    for (var k = 0; k < 3; k++) {
+        eVec[k] = ((vLen * vLen - mu / rLen) * r[k] - rDotV * v[k]) / mu;
+    }
+    var e = vec3.length(eVec);
+
+    var energy = vLen * vLen / 2 - mu / rLen;
+    var inclination = Math.acos(Math.max(-1, Math.min(1, h[2] / hLen)));
+
+    // Ascending node lies along Z x h, undefined for equatorial orbits
+    var raan = 0;
+    if (Math.sqrt(h[0] * h[0] + h[1] * h[1]) > 1e-9 * hLen) {
+        raan = Math.atan2(h[0], -h[1]);
+    }
+
+    // Measures angles within the orbital plane, from the ascending node
+    var node = [Math.cos(raan), Math.sin(raan), 0];
+    var inPlane = vec3.cross(vec3.scale(h, 1 / hLen, [0, 0, 0]), node, [0, 0, 0]);
+    var angleFromNode = function (vec) {
+        return Math.atan2(vec3.dot(vec, inPlane), vec3.dot(vec, node));
+    };
+
+    var argPerigee = e > 1e-9 ? angleFromNode(eVec) : 0;
+    var trueAnomaly = angleFromNode(r) - argPerigee;
+
+    var E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+            Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2));
+
+    return {
+        semiMajorAxis: -mu / (2 * energy),
+        eccentricity: e,
+        inclination: inclination,
+        raan: raan,
+        argPerigee: argPerigee,
+        meanAnomaly: E - e * Math.sin(E)
+    };
+}
+
+/**
+ * Gets the orbital period of a set of elements.
+ * @param {Object} el Orbital elements
+ * @returns {Number} Period (simulated seconds)
+ */
+function orbitalPeriod(el) {
+    var a = el.semiMajorAxis;
+    return 2 * Math.PI * Math.sqrt(a * a * a / sceneMu());
+}
+
+/**
+ * Advances an object along its Keplerian orbit and updates its scene position.
+ * @param {Object} obj Object with orbital elements
+ * @param {Number} dtSim Time to advance by (simulated seconds)
+ */
+function updateKeplerOrbit(obj, dtSim) {
+    var el = obj.elements;
+
+    el.meanAnomaly += (2 * Math.PI / orbitalPeriod(el)) * dtSim;
+    el.meanAnomaly %= 2 * Math.PI;
+
+    vec3.set(eciToScene(keplerToState(el).position), obj.position);
+}
+
+/**
+ * Fires the satellite's engine, changing its velocity and so its orbit.
+ * Burns that would lead to escape or a perigee below the minimum orbit radius
+ * are ignored.
+ * @param {Object} sat Satellite with orbital elements
+ * @param {Number} prograde Velocity change along direction of travel (km/s)
+ * @param {Number} radial Velocity change away from the Earth (km/s)
+ */
+function applyBurn(sat, prograde, radial) {
+    var state = keplerToState(sat.elements);
+    var r = state.position;
+    var v = state.velocity;
+
+    var alongV = vec3.normalize(v, [0, 0, 0]);
+    var alongR = vec3.normalize(r, [0, 0, 0]);
+    var k = kmPerUnit();
+    for (var i = 0; i < 3; i++) {
+        v[i] += (alongV[i] * prograde + alongR[i] * radial) / k;
+    }
+
+    var el = stateToKepler(r, v);
+    if (el.eccentricity >= 1 ||
+            el.semiMajorAxis * (1 - el.eccentricity) < sat.minOrbitRadius) {
+        return;
+    }
+    sat.elements = el;
+}
+
+
+
+// Code for TLE satellites /////////////////////////////////////////////////////
+
+/**
+ * Loads real satellites from the text of a TLE file, adding each one to the
+ * scene as an object positioned by the SGP4 propagator in sgp4.js. Entries
+ * which can not be propagated are skipped, and listed to the user.
+ * @param {String} text Contents of the TLE file
+ */
+function loadTLESatellites(text) {
+
+    var parsed = parseTLE(text);
+    var skipped = parsed.errors.slice();
+    var added = 0;
+
+    for (var i = 0; i < parsed.entries.length; i++) {
+        var satrec = parsed.entries[i];
+        try {
+            sgp4init(satrec);
+        } catch (e) {
+            skipped.push(satrec.name + ": " + e);
+            continue;
+        }
+
+        // Positions are calculated relative to the Earth's surface, so these
+        // are attached to the Earth and rotate with it
+        pwgl.scene.add(createNode({
+            name: satrec.name,
+            mesh: "sat",
+            texture: "sat.jpg",
+            update: updateTLESat,
+            satrec: satrec,
+            scale: [0.15, 0.15, 0.15] // Real orbits are close to the Earth
+        }), pwgl.earth.id);
+        added++;
+    }
+
+    if (added === 0) {
+        alert("No satellites could be loaded from the TLE file." +
+                (skipped.length > 0 ? "\n\n" + skipped.join("\n") : ""));
+    } else if (skipped.length > 0) {
+        alert("Loaded " + added + " satellites, skipped " + skipped.length + ":\n\n" +
+                skipped.join("\n"));
+    }
+}
+
+/**
+ * Updates the position of a TLE satellite for the simulated time. Satellites
+ * that can not be propagated to this time (e.g. have decayed) are hidden.
+ * @param {Object} tleSat The TLE satellite
+ */
+function updateTLESat(tleSat) {
+
+    var tsince = (pwgl.clock.time - tleSat.satrec.epochMs) / 60000;
+    var state = sgp4(tleSat.satrec, tsince);
+    tleSat.hidden = state === null;
+    if (tleSat.hidden) {
+        return;
+    }
+
+    // SGP4 gives positions in an inertial frame, so rotate by sidereal time
+    // to get the position relative to the Earth's surface
+    var gmst = gstime(julianDateFromMs(pwgl.clock.time));
+    var c = Math.cos(-gmst);
+    var s = Math.sin(-gmst);
+    var k = kmPerUnit();
+
+    var r = state.position;
+    var pos = eciToScene([(c * r[0] - s * r[1]) / k, (s * r[0] + c * r[1]) / k, r[2] / k]);
+    vec3.set(pos, tleSat.position);
+    quatFromAxisAngle([0, 1, 0], Math.PI + Math.PI / 2 - Math.atan2(pos[2], pos[0]), tleSat.rotation);
+}
+
+
+
+// Code for orbit paths ////////////////////////////////////////////////////////
+
+/**
+ * Creates the line mesh for the ground track, and forgets the paths of the
+ * satellites so they are predicted again into new buffers.
+ */
+function setupOrbitBuffers() {
+    var display = pwgl.orbitDisplay; // This is just for readability
+    display.paths = {}; // By object id
+    display.nextPathUpdate = 0;
+    display.groundTrack = null;
+    pwgl.meshes.groundTrack = createLineMesh(
+            display.samplesPerOrbit * (display.groundTrackOrbits + 1) + 1);
+}
+
+/**
+ * Gets what the shape of a satellite's orbit depends on, so its path only has
+ * to be predicted again when this changes or time passes.
+ * @param {Object} obj The satellite
+ * @returns {String} The key, or null if it does not orbit
+ */
+function orbitPathKey(obj) {
+    if (obj.satrec !== undefined) {
+        return "tle " + obj.satrec.satnum + " " + obj.satrec.epochMs;
+    }
+    if (obj.useKepler) {
+        var el = obj.elements;
+        return "kepler " + [el.semiMajorAxis, el.eccentricity, el.inclination,
+            el.raan, el.argPerigee].join(" ");
+    }
+    if (obj.orbitsPerDay) {
+        return "circle " + obj.orbitRadius + " " + obj.orbitsPerDay;
+    }
+    return null;
+}
+
+/**
+ * Predicts the positions around one orbit of a satellite.
+ * @param {Object} obj The satellite
+ * @param {Number} time Simulated time to start from (ms since 1970)
+ * @returns {Array} The vertex position array, ending early if the satellite
+ * cannot be predicted that far
+ */
+function predictOrbitPath(obj, time) {
+    var samples = pwgl.orbitDisplay.samplesPerOrbit;
+    var period = predictedPeriod(obj);
+    var positions = [];
+    for (var j = 0; j < samples; j++) {
+        var position = predictPosition(obj, time + period * j / samples);
+        if (position === null) {
+            break;
+        }
+        positions.push(position[0], position[1], position[2]);
+    }
+    return positions;
+}
+
+/**
+ * Finds the time a satellite takes to orbit the Earth, using the same motion
+ * model it is moved with.
+ * @param {Object} obj The satellite
+ * @returns {Number} Orbital period (simulated ms), or null if it does not orbit
+ */
+function predictedPeriod(obj) {
+    if (obj.satrec !== undefined) {
+        return 2 * Math.PI / obj.satrec.no_unkozai * 60000; // Mean motion is in rad/min
+    }
+    if (obj.useKepler) {
+        return orbitalPeriod(obj.elements) * 1000;
+    }
+    if (obj.orbitsPerDay) {
+        return Math.abs(SOLAR_DAY * 1000 / obj.orbitsPerDay);
+    }
+    return null;
+}
+
+/**
+ * Predicts where a satellite will be, using the same motion model it is moved
+ * with.
+ * @param {Object} obj The satellite
+ * @param {Number} time Simulated time (ms since 1970)
+ * @returns {vec3} Position relative to the centre of the Earth, in the fixed
+ * (not rotating) frame, or null if it cannot be predicted
+ */
+function predictPosition(obj, time) {
+    if (obj.satrec !== undefined) {
+        var state = sgp4(obj.satrec, (time - obj.satrec.epochMs) / 60000);
+        if (state === null) {
+            return null;
+        }
+        return vec3.scale(eciToScene(state.position), 1 / kmPerUnit());
+    }
+
+    var dtSim = (time - pwgl.clock.time) / 1000;
+    if (obj.useKepler) {
+        var el = {};
+        for (var key in obj.elements) {
+            el[key] = obj.elements[key];
+        }
+        el.meanAnomaly += (2 * Math.PI / orbitalPeriod(el)) * dtSim;
+        return eciToScene(keplerToState(el).position);
+    }
+
+    var angle = obj.orbitAngle + (obj.orbitsPerDay / SOLAR_DAY) * dtSim * (2 * Math.PI);
+    return [obj.orbitRadius * Math.cos(angle), 0, obj.orbitRadius * Math.sin(angle)];
+}
+
+/**
+ * Finds which way a satellite is going, from its predicted path, so it works
+ * for any motion model.
+ * @param {Object} obj The satellite
+ * @returns {vec3} Unit vector in the fixed (not rotating) frame, or null if
+ * it cannot be predicted
+ */
+function predictDirectionOfTravel(obj) {
+    var period = predictedPeriod(obj);
+    var now = pwgl.clock.time;
+    var before = period === null ? null : predictPosition(obj, now);
+    var after = period === null ? null : predictPosition(obj, now + period / 1000);
+    if (before === null || after === null) {
+        return null;
+    }
+    return vec3.normalize(vec3.subtract(after, before));
+}
+
+/**
+ * Predicts where a satellite will be relative to the ground, turning its
+ * predicted position back by the Earth's rotation at that time.
+ * @param {Object} obj The satellite
+ * @param {Number} time Simulated time (ms since 1970)
+ * @returns {vec3} Position relative to the Earth, before it is rotated, or
+ * null if it cannot be predicted
+ */
+function predictEarthPosition(obj, time) {
+    var position = predictPosition(obj, time);
+    if (position === null) {
+        return null;
+    }
+    var rotation = quatFromAxisAngle([0, 1, 0], -gstime(julianDateFromMs(time)), pwgl.tempQuat);
+    return quat4.multiplyVec3(rotation, position);
+}
+
+/**
+ * Draws the predicted orbit of every satellite as a loop, and the ground
+ * track of the controlled satellite for the next few orbits.
+ *
+ * Predicting a path is slow, so each one is kept in its own buffer. It is
+ * predicted again at once when the orbit is changed, and otherwise after
+ * pathUpdateInterval of simulated time, as real orbits drift. Only
+ * pathUpdatesPerFrame paths are predicted again for time each frame, taking
+ * turns, so a large TLE catalogue does not stall the frame.
+ */
+function drawOrbitPaths() {
+
+    var display = pwgl.orbitDisplay; // This is just for readability
+    var objects = pwgl.scene.objects;
+    var paths = display.paths;
+    var now = pwgl.clock.time;
+
+    if (!display.show) {
+        return;
+    }
+
+    useProgram(pwgl.programs.line);
+
+    // Paths are in the fixed frame, centred on the Earth
+    var identity = mat4.identity(pwgl.tempMatrix);
+
+    var updates = 0;
+    var used = {};
+    var start = display.nextPathUpdate;
+    for (var n = 0; n < objects.length; n++) {
+        var i = (start + n) % objects.length;
+        var obj = objects[i];
+        var key = orbitPathKey(obj);
+        if (obj.hidden || key === null) {
+            continue;
+        }
+        used[obj.id] = true;
+
+        // Changed orbits are shown at once, new and drifting ones take turns
+        var path = paths[obj.id];
+        var changed = path !== undefined && path.key !== key;
+        if (path === undefined) {
+            path = paths[obj.id] = {
+                mesh: createLineMesh(display.samplesPerOrbit),
+                key: key,
+                time: null
+            };
+        }
+        var stale = path.time === null ||
+                Math.abs(now - path.time) >= display.pathUpdateInterval;
+        if (changed || (stale && updates < display.pathUpdatesPerFrame)) {
+            updateLineMesh(path.mesh, predictOrbitPath(obj, now));
+            path.key = key;
+            path.time = now;
+            if (!changed) {
+                updates++;
+                display.nextPathUpdate = i + 1;
+            }
+        }
+        if (path.time === null) {
+            continue; // Not predicted yet
+        }
+
+        drawLineMesh(path.mesh, identity,
+                obj === pwgl.activeSat ? display.activeOrbitColor : display.orbitColor,
+                gl.LINE_LOOP);
+    }
+
+    // Free the paths of satellites which have been removed or hidden
+    for (var id in paths) {
+        if (!used[id]) {
+            gl.deleteBuffer(paths[id].mesh.buffers.vertexPosition);
+            delete paths[id];
+        }
+    }
+
+    drawGroundTrack();
+}
+
+/**
+ * Draws the ground track of the controlled satellite for the next few
+ * orbits. This is predicted for one orbit more than is shown, and the part
+ * ahead of the satellite drawn, so it is only predicted again once an orbit.
+ */
+function drawGroundTrack() {
+
+    var display = pwgl.orbitDisplay; // This is just for readability
+    var sat = pwgl.activeSat;
+    var now = pwgl.clock.time;
+    var key = sat === null ? null : orbitPathKey(sat);
+
+    if (key === null || sat.hidden) {
+        return;
+    }
+
+    // Samples are taken at the same times as for the orbit path
+    var step = predictedPeriod(sat) / display.samplesPerOrbit;
+    var samples = display.samplesPerOrbit * display.groundTrackOrbits;
+    var track = display.groundTrack;
+    var first = track === null ? 0 : Math.floor((now - track.time) / step);
+    if (track === null || track.id !== sat.id || track.key !== key ||
+            first < 0 || first > display.samplesPerOrbit) {
+
+        // Point below the satellite, just above the surface so it is not
+        // hidden by it
+        var height = pwgl.earth.radius * 1.003;
+        var positions = [];
+        for (var j = 0; j <= samples + display.samplesPerOrbit; j++) {
+            var position = predictEarthPosition(sat, now + step * j);
+            if (position === null) {
+                break;
+            }
+            vec3.scale(vec3.normalize(position), height);
+            positions.push(position[0], position[1], position[2]);
+        }
+        updateLineMesh(pwgl.meshes.groundTrack, positions);
+        track = display.groundTrack = {id: sat.id, key: key, time: now};
+        first = 0;
+    }
+
+    var count = Math.min(samples + 1, pwgl.meshes.groundTrack.vertexNumber - first);
+    if (count > 1) {
+        drawLineMesh(pwgl.meshes.groundTrack, pwgl.earth.worldMatrix,
+                display.groundTrackColor, gl.LINE_STRIP, first, count);
+    }
+}
+
+
+
+// Code for Earth //////////////////////////////////////////////////////////////
+
+/**
+ * Defines the shape of the Earth and binds the necessary buffers.
+ */
+function setupEarthBuffers() {
+    pwgl.meshes.earth = createSphereMesh(pwgl.earth.radius,
+            pwgl.earth.latitudeStrips, pwgl.earth.longitudeStrips);
+}
+
+/**
+ * Creates a textured sphere centred on the origin, with the texture wrapped
+ * the same way as the Earth.
+ * @param {Number} radius Radius of the sphere
+ * @param {int} latitudeStrips Number of strips from pole to pole
+ * @param {int} longitudeStrips Number of strips around the equator
+ * @returns {Object} The mesh, with its buffers and number of indices
+ */
+function createSphereMesh(radius, latitudeStrips, longitudeStrips) {
+
+    var pi = Math.PI; // This is just for readability
+
+    var m = latitudeStrips + 1;
+    var n = longitudeStrips + 1;
+
+    var vertexPositions = [];
+    var textureCoordinates = [];
+    var vertexNormals = [];
+    var vertexTangents = [];
+
+    for (var i = 0; i <= m; i++) { // Latitude
+        for (var j = 0; j <= n; j++) { // Longitude
+
+            // VERTEX POSITION & NORMAL
+            var nx = Math.sin(i * pi / m) * Math.cos(2 * j * pi / n);
+            var ny = Math.cos(i * pi / m);
+            var nz = Math.sin(i * pi / m) * Math.sin(2 * j * pi / n);
+
+            vertexNormals.push(nx);
+            vertexNormals.push(ny);
+            vertexNormals.push(nz);
+
+            // For a uniform sphere: vertex position = vertex normal * radius
+            vertexPositions.push(nx * radius);
+            vertexPositions.push(ny * radius);
+            vertexPositions.push(nz * radius);
+
+            // VERTEX TANGENT
+            // Points east, the way the texture's u coordinate increases. It is
+            // still defined at the poles, where the normal does not change.
+            vertexTangents.push(Math.sin(2 * j * pi / n));
+            vertexTangents.push(0);
+            vertexTangents.push(-Math.cos(2 * j * pi / n));
+
+            // TEXTURE COORDINATES
+            // i and j subtracted from m and n to flip texture right way up
+            textureCoordinates.push((n-j) / n);
+            textureCoordinates.push((m-i) / m);
+        }
+    }
+
+    var indexData = [];
+    for (var i = 0; i < m; i++) {
+        for (var j = 0; j < n; j++) {
+
+            var v1 = i * (n + 1) + j;   //index of vi,j  
+            var v2 = v1 + n + 1;        //index of vi+1,j
+            var v3 = v1 + 1;            //index of vi,j+1 
+            var v4 = v2 + 1;            //index of vi+1,j+1  
+            // indices of first triangle
+            indexData.push(v1);
+            indexData.push(v2);
+            indexData.push(v3);
+            // indices of second triangle
+            indexData.push(v3);
+            indexData.push(v2);
+            indexData.push(v4);
+        }
+    }
+
+    return {
+        indexNumber: indexData.length,
+        buffers: prepBuffers(vertexPositions, indexData, textureCoordinates,
+                vertexNormals, vertexTangents)
+    };
+}
+
+/**
+ * Updates the rotation of the Earth to match the simulated time. Longitude 0
+ * of the texture faces the vernal equinox at a sidereal time of 0.
+ * @param {Object} earth The Earth
+ */
+function updateEarth(earth) {
+
+    // Calculate rotation
+    earth.rotAngle = gstime(julianDateFromMs(pwgl.clock.time));
+    quatFromAxisAngle([0, 1, 0], earth.rotAngle, earth.rotation);
+}
+
+
+
+// Code for markers ////////////////////////////////////////////////////////////
+
+/**
+ * Defines the shape of the markers, a unit sphere which is scaled to the size
+ * of the marker when drawn.
+ */
+function setupMarkerBuffers() {
+    pwgl.meshes.marker = createSphereMesh(1.0, 8, 8);
+}
+
+/**
+ * Places a labelled marker on the Earth, which turns with it.
+ * @param {Object} props Latitude (lat) and longitude (lon) in degrees, north
+ * and east positive, and optionally a label and an RGB color
+ * @returns {Object} The marker
+ */
+function addMarker(props) {
+    if (typeof props.lat !== "number" || typeof props.lon !== "number") {
+        throw "Error addMarker() - Latitude and longitude are required";
+    }
+
+    var marker = {
+        latitude: props.lat,
+        longitude: props.lon,
+        label: props.label !== undefined ? props.label : "",
+        color: props.color !== undefined ? props.color : [1.0, 0.3, 0.3],
+        position: latLongToPosition(props.lat, props.lon, pwgl.earth.radius)
+    };
+
+    // The label is a page element drawn over the canvas
+    marker.labelElement = document.createElement("div");
+    marker.labelElement.className = "marker-label";
+    marker.labelElement.textContent = marker.label;
+    marker.labelElement.style.color = "rgb(" + marker.color.map(function (c) {
+        return Math.round(c * 255);
+    }).join(",") + ")";
+    pwgl.labelContainer.appendChild(marker.labelElement);
+
+    pwgl.markers.push(marker);
+    return marker;
+}
+
+/**
+ * Removes a marker added by addMarker.
+ * @param {Object} marker The marker
+ */
+function removeMarker(marker) {
+    var index = pwgl.markers.indexOf(marker);
+    if (index < 0) {
+        return;
+    }
+    pwgl.markers.splice(index, 1);
+    pwgl.labelContainer.removeChild(marker.labelElement);
+}
+
+/**
+ * Finds the point on the Earth at a latitude and longitude, before the Earth
+ * is rotated. This matches the way the texture is wrapped by
+ * createSphereMesh, and is the reverse of getLatLong.
+ * @param {Number} latitude Degrees, north positive
+ * @param {Number} longitude Degrees, east positive
+ * @param {Number} radius Distance from the centre of the Earth
+ * @returns {vec3} Position relative to the Earth
+ */
+function latLongToPosition(latitude, longitude, radius) {
+    var lat = latitude * Math.PI / 180;
+    var lon = longitude * Math.PI / 180;
+    return [-radius * Math.cos(lat) * Math.cos(lon),
+        radius * Math.sin(lat),
+        radius * Math.cos(lat) * Math.sin(lon)];
+}
+
+/**
+ * Draws the markers as small dots in their own colour.
+ */
+function drawMarkers() {
+
+    var mesh = pwgl.meshes.marker;
+    var size = pwgl.markerSize;
+
+    if (pwgl.markers.length === 0) {
+        return;
+    }
+
+    useProgram(pwgl.programs.line);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.buffers.vertexIndex);
+    uploadProjectionMatrixToShader();
+
+    for (var i = 0; i < pwgl.markers.length; i++) {
+        var marker = pwgl.markers[i];
+        mat4.multiply(pwgl.viewMatrix, pwgl.earth.worldMatrix, pwgl.modelViewMatrix);
+        mat4.translate(pwgl.modelViewMatrix, marker.position);
+        mat4.scale(pwgl.modelViewMatrix, [size, size, size]);
+        uploadModelViewMatrixToShader();
+        gl.uniform3fv(pwgl.uniformColorLoc, marker.color);
+        gl.uniform1f(pwgl.uniformOpacityLoc, 1.0);
+        gl.drawElements(gl.TRIANGLES, mesh.indexNumber, gl.UNSIGNED_SHORT, 0);
+    }
+}
+
+/**
+ * Moves the marker labels to where their markers are drawn, hiding those on
+ * the far side of the Earth or off the canvas.
+ */
+function updateMarkerLabels() {
+
+    var toScreen = mat4.multiply(pwgl.projectionMatrix, pwgl.viewMatrix, pwgl.tempMatrix);
+    var earthCentre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+    var eye = pwgl.camera.eye;
+
+    for (var i = 0; i < pwgl.markers.length; i++) {
+        var marker = pwgl.markers[i];
+        var position = mat4.multiplyVec3(pwgl.earth.worldMatrix, marker.position, [0, 0, 0]);
+
+        // On the near side the surface faces the camera
+        var up = vec3.subtract(position, earthCentre, [0, 0, 0]);
+        var toEye = vec3.subtract(eye, position, [0, 0, 0]);
+        var clip = mat4.multiplyVec4(toScreen, [position[0], position[1], position[2], 1]);
+        var x = clip[0] / clip[3];
+        var y = clip[1] / clip[3];
+        var visible = vec3.dot(up, toEye) > 0 && clip[3] > 0 &&
+                Math.abs(x) <= 1 && Math.abs(y) <= 1;
+
+        var style = marker.labelElement.style;
+        style.display = visible ? "" : "none";
+        if (visible) {
+            style.left = ((x + 1) / 2 * canvas.clientWidth) + "px";
+            style.top = ((1 - y) / 2 * canvas.clientHeight) + "px";
+        }
+    }
+}
+
+
+
+// Code for map overlays ///////////////////////////////////////////////////////
+
+/**
+ * Loads a GeoJSON document as a layer of lines drawn on the Earth, such as
+ * borders, coastlines or regions. Lines and polygon outlines are drawn;
+ * points are ignored.
+ * @param {Object|String} geoJSON GeoJSON object, or its text
+ * @param {Object} options Optionally the name of the layer, its colour, and
+ * a style function given each feature and returning its {color, show}
+ * @returns {Object} The layer
+ */
+function loadGeoJSON(geoJSON, options) {
+    options = options || {};
+    if (typeof geoJSON === "string") {
+        geoJSON = JSON.parse(geoJSON);
+    }
+
+    var layer = {
+        name: options.name !== undefined ? options.name : "Layer " + (pwgl.overlays.length + 1),
+        color: options.color !== undefined ? options.color : pwgl.overlayDisplay.color,
+        show: true,
+        features: []
+    };
+
+    var features = geoJSON.type === "FeatureCollection" ? geoJSON.features : [geoJSON];
+    for (var i = 0; i < features.length; i++) {
+        var feature = features[i];
+        var geometry = feature.type === "Feature" ? feature.geometry : feature;
+        var style = options.style ? options.style(feature) || {} : {};
+        if (style.show === false || geometry === null) {
+            continue;
+        }
+
+        var positions = [];
+        addGeometryLines(geometry, positions);
+        if (positions.length === 0) {
+            continue;
+        }
+        layer.features.push({
+            properties: feature.properties || {},
+            color: style.color !== undefined ? style.color : layer.color,
+            positions: positions
+        });
+    }
+
+    setupOverlayLayerBuffers(layer);
+    pwgl.overlays.push(layer);
+    if (pwgl.overlayList !== undefined) {
+        updateOverlayChoice();
+    }
+    return layer;
+}
+
+/**
+ * Adds the lines of a GeoJSON geometry to a list of line segments.
+ * @param {Object} geometry GeoJSON geometry
+ * @param {Array} positions Vertex positions, in pairs making up segments
+ */
+function addGeometryLines(geometry, positions) {
+    var coords = geometry.coordinates;
+    var i, j;
+
+    switch (geometry.type) {
+        case "Point":
+        case "MultiPoint":
+            break;
+        case "LineString":
+            addLineString(coords, positions);
+            break;
+        case "MultiLineString":
+        case "Polygon":
+            for (i = 0; i < coords.length; i++) {
+                addLineString(coords[i], positions);
+            }
+            break;
+        case "MultiPolygon":
+            for (i = 0; i < coords.length; i++) {
+                for (j = 0; j < coords[i].length; j++) {
+                    addLineString(coords[i][j], positions);
+                }
+            }
+            break;
+        case "GeometryCollection":
+            for (i = 0; i < geometry.geometries.length; i++) {
+                addGeometryLines(geometry.geometries[i], positions);
+            }
+            break;
+        default:
+            throw "Error addGeometryLines() - Unknown GeoJSON geometry: " + geometry.type;
+    }
+}
+
+/**
+ * Adds a line of [longitude, latitude] points to a list of line segments.
+ * Long segments are split so they follow the curve of the Earth.
+ * @param {Array} coords GeoJSON positions
+ * @param {Array} positions Vertex positions, in pairs making up segments
+ */
+function addLineString(coords, positions) {
+    var radius = pwgl.earth.radius * pwgl.overlayDisplay.height;
+    var maxStep = pwgl.overlayDisplay.maxSegmentDegrees;
+
+    for (var i = 1; i < coords.length; i++) {
+        var lon0 = coords[i - 1][0], lat0 = coords[i - 1][1];
+        var lon1 = coords[i][0], lat1 = coords[i][1];
+
+        // The shorter way round, so segments crossing 180 degrees do not
+        // circle the globe
+        var dLon = ((lon1 - lon0) % 360 + 540) % 360 - 180;
+        var steps = Math.max(1, Math.ceil(Math.max(Math.abs(dLon), Math.abs(lat1 - lat0)) / maxStep));
+        var start = latLongToPosition(lat0, lon0, radius);
+        for (var j = 1; j <= steps; j++) {
+            var t = j / steps;
+            var end = latLongToPosition(lat0 + (lat1 - lat0) * t, lon0 + dLon * t, radius);
+            positions.push(start[0], start[1], start[2], end[0], end[1], end[2]);
+            start = end;
+        }
+    }
+}
+
+/**
+ * Creates the buffers of every feature in a layer.
+ * @param {Object} layer Layer created by loadGeoJSON
+ */
+function setupOverlayLayerBuffers(layer) {
+    for (var i = 0; i < layer.features.length; i++) {
+        var feature = layer.features[i];
+        feature.mesh = createLineMesh(feature.positions.length / 3);
+        updateLineMesh(feature.mesh, feature.positions);
+    }
+}
+
+/**
+ * Creates the buffers of the layers already loaded, e.g. when the context is
+ * restored.
+ */
+function setupOverlayBuffers() {
+    for (var i = 0; i < pwgl.overlays.length; i++) {
+        setupOverlayLayerBuffers(pwgl.overlays[i]);
+    }
+}
+
+/**
+ * Removes a layer loaded by loadGeoJSON.
+ * @param {Object} layer The layer
+ */
+function removeOverlay(layer) {
+    var index = pwgl.overlays.indexOf(layer);
+    if (index < 0) {
+        return;
+    }
+    pwgl.overlays.splice(index, 1);
+    for (var i = 0; i < layer.features.length; i++) {
+        gl.deleteBuffer(layer.features[i].mesh.buffers.vertexPosition);
+    }
+    if (pwgl.overlayList !== undefined) {
+        updateOverlayChoice();
+    }
+}
+
+/**
+ * Draws the visible layers, turning with the Earth.
+ */
+function drawOverlays() {
+    var layers = pwgl.overlays;
+    var drawn = false;
+
+    for (var i = 0; i < layers.length; i++) {
+        if (!layers[i].show) {
+            continue;
+        }
+        if (!drawn) {
+            useProgram(pwgl.programs.line);
+            drawn = true;
+        }
+        for (var j = 0; j < layers[i].features.length; j++) {
+            var feature = layers[i].features[j];
+            drawLineMesh(feature.mesh, pwgl.earth.worldMatrix, feature.color, gl.LINES);
+        }
+    }
+}
+
+
+
+// Code for ground stations ////////////////////////////////////////////////////
+
+/**
+ * Creates the line meshes for the links between stations and the controlled
+ * satellite, and for its footprint.
+ */
+function setupGroundStationBuffers() {
+    pwgl.meshes.stationLinks = createLineMesh(16);
+    pwgl.meshes.footprint = createLineMesh(pwgl.stationDisplay.footprintSamples);
+}
+
+/**
+ * Adds a ground station, which is shown with a marker and lists the passes
+ * of the controlled satellite over it.
+ * @param {Object} props Latitude (lat) and longitude (lon) in degrees, and
+ * optionally a name, an RGB color, and the elevation (degrees) the satellite
+ * must be above to be seen (minElevation)
+ * @returns {Object} The station
+ */
+function addGroundStation(props) {
+    var station = {
+        name: props.name !== undefined ? props.name : "Station " + (pwgl.groundStations.length + 1),
+        minElevation: props.minElevation !== undefined ?
+                props.minElevation : pwgl.stationDisplay.minElevation,
+        inView: false,
+        passes: [],
+        passSearch: null // What the passes were found for, see updateGroundStations
+    };
+    station.marker = addMarker({
+        lat: props.lat,
+        lon: props.lon,
+        label: station.name,
+        color: props.color !== undefined ? props.color : pwgl.stationDisplay.color
+    });
+    station.position = station.marker.position;
+
+    pwgl.groundStations.push(station); // Its passes are found on the next frame
+    return station;
+}
+
+/**
+ * Removes a ground station added by addGroundStation.
+ * @param {Object} station The station
+ */
+function removeGroundStation(station) {
+    var index = pwgl.groundStations.indexOf(station);
+    if (index < 0) {
+        return;
+    }
+    pwgl.groundStations.splice(index, 1);
+    removeMarker(station.marker);
+    if (pwgl.displayPasses !== undefined) {
+        updatePassList();
+    }
+}
+
+/**
+ * Finds how high a satellite is above a station's horizon, taking the Earth
+ * to be a sphere.
+ * @param {vec3} stationPosition Position of the station relative to the Earth
+ * @param {vec3} satPosition Position of the satellite in the same frame
+ * @returns {Number} Elevation in degrees, negative below the horizon
+ */
+function elevationAngle(stationPosition, satPosition) {
+    var toSat = vec3.subtract(satPosition, stationPosition, [0, 0, 0]);
+    var up = vec3.normalize(stationPosition, [0, 0, 0]);
+    return Math.asin(vec3.dot(up, toSat) / vec3.length(toSat)) * 180 / Math.PI;
+}
+
+/**
+ * Predicts how high a satellite will be above a station's horizon.
+ * @param {Object} sat The satellite
+ * @param {Object} station The station
+ * @param {Number} time Simulated time (ms since 1970)
+ * @returns {Number} Elevation in degrees, or null if it cannot be predicted
+ */
+function predictElevation(sat, station, time) {
+    var position = predictEarthPosition(sat, time);
+    return position === null ? null : elevationAngle(station.position, position);
+}
+
+/**
+ * Predicts the times a satellite is above a station's elevation mask.
+ * @param {Object} sat The satellite
+ * @param {Object} station The station
+ * @param {Number} start Simulated time to search from (ms since 1970)
+ * @param {Number} end Simulated time to search until
+ * @returns {Array} Passes as {start, end, maxElevation}; start is null if
+ * the pass has already begun and end is null if it lasts beyond the search
+ */
+function predictPasses(sat, station, start, end) {
+    var period = predictedPeriod(sat);
+    if (period === null) {
+        return [];
+    }
+
+    // Steps short enough not to miss a low pass, which are then narrowed
+    // down to the moment the satellite crosses the mask
+    var step = Math.min(pwgl.stationDisplay.passStep * 1000, period / 90);
+    var isUp = function (time) {
+        var elevation = predictElevation(sat, station, time);
+        return elevation !== null && elevation >= station.minElevation;
+    };
+    var crossing = function (before, after) {
+        var wasUp = isUp(before);
+        for (var i = 0; i < 20 && after - before > 1000; i++) {
+            var middle = (before + after) / 2;
+            if (isUp(middle) === wasUp) {
+                before = middle;
+            } else {
+                after = middle;
+            }
+        }
+        return after;
+    };
+
+    var passes = [];
+    var pass = isUp(start) ?
+            {start: null, end: null, maxElevation: predictElevation(sat, station, start)} : null;
+    for (var time = start; time < end; time += step) {
+        var next = Math.min(time + step, end);
+        var elevation = predictElevation(sat, station, next);
+        var up = elevation !== null && elevation >= station.minElevation;
+        if (up && pass === null) {
+            pass = {start: crossing(time, next), end: null, maxElevation: -90};
+        } else if (!up && pass !== null) {
+            pass.end = crossing(time, next);
+            passes.push(pass);
+            pass = null;
+        }
+        if (pass !== null) {
+            pass.maxElevation = Math.max(pass.maxElevation, elevation);
+        }
+    }
+    if (pass !== null) {
+        passes.push(pass);
+    }
+    return passes;
+}
+
+/**
+ * Works out which stations can see the controlled satellite, and predicts its
+ * next passes over them and lists them on the page.
+ *
+ * Searching for passes is slow, so a station's passes are only found again
+ * when the controlled satellite or the time searched from changes, or the
+ * first pass listed is over. While the orbit is being changed they are found
+ * again at most every passUpdateInterval.
+ * @param {int} currentTime The current time in milliseconds
+ */
+function updateGroundStations(currentTime) {
+
+    var display = pwgl.stationDisplay; // This is just for readability
+    var stations = pwgl.groundStations;
+    var sat = pwgl.activeSat;
+    var now = pwgl.clock.time;
+
+    for (var i = 0; i < stations.length; i++) {
+        var elevation = sat === null || sat.hidden ? null : predictElevation(sat, stations[i], now);
+        stations[i].elevation = elevation;
+        stations[i].inView = elevation !== null && elevation >= stations[i].minElevation;
+    }
+
+    var key = sat === null ? null : orbitPathKey(sat);
+    var end = now + display.passHours * 3600 * 1000;
+    var changed = false;
+    for (var i = 0; i < stations.length; i++) {
+        var search = stations[i].passSearch;
+        if (search !== null && search.sat === sat &&
+                now >= search.from && now < search.until && (search.key === key ||
+                currentTime - search.updateTime < display.passUpdateInterval)) {
+            continue;
+        }
+
+        var passes = key === null ? [] :
+                predictPasses(sat, stations[i], now, end).slice(0, display.passesShown);
+        stations[i].passes = passes;
+        stations[i].passSearch = {
+            sat: sat,
+            key: key,
+            from: now,
+            until: passes.length > 0 && passes[0].end !== null ? passes[0].end : end,
+            updateTime: currentTime
+        };
+        changed = true;
+    }
+
+    if (changed && pwgl.displayPasses !== undefined) {
+        updatePassList();
+    }
+}
+
+/**
+ * Lists the next passes over each station on the page.
+ */
+function updatePassList() {
+
+    var list = pwgl.displayPasses;
+    var stations = pwgl.groundStations;
+    var formatTime = function (time) {
+        return new Date(time).toISOString().replace("T", " ").substring(5, 19);
+    };
+
+    list.innerHTML = "";
+    if (stations.length === 0) {
+        list.textContent = "No ground stations";
+        return;
+    }
+    for (var i = 0; i < stations.length; i++) {
+        var passes = stations[i].passes;
+        var text = stations[i].name + ": ";
+        if (passes.length === 0) {
+            text += "no passes in the next " + pwgl.stationDisplay.passHours + " hours";
+        }
+        for (var j = 0; j < passes.length; j++) {
+            text += (j > 0 ? "; " : "") +
+                    (passes[j].start === null ? "now" : formatTime(passes[j].start)) + " to " +
+                    (passes[j].end === null ? "later" : formatTime(passes[j].end)) +
+                    " (max " + Math.round(passes[j].maxElevation) + "\u00b0)";
+        }
+        var line = document.createElement("div");
+        line.textContent = text;
+        list.appendChild(line);
+    }
+}
+
+/**
+ * Draws a line from each station that can see the controlled satellite to
+ * it, and the satellite's footprint, the area where it is above the elevation
+ * mask, highlighted while a station is in view. While stations are in view the
+ * footprint uses the lowest of their masks, so it contains each of them;
+ * otherwise it uses the default mask (pwgl.stationDisplay.minElevation).
+ */
+function drawGroundStations() {
+
+    var display = pwgl.stationDisplay; // This is just for readability
+    var stations = pwgl.groundStations;
+    var sat = pwgl.activeSat;
+
+    if (stations.length === 0 || sat === null || sat.hidden) {
+        return;
+    }
+
+    useProgram(pwgl.programs.line);
+    var identity = mat4.identity(pwgl.tempMatrix);
+    var satPosition = getWorldPosition(sat, [0, 0, 0]);
+
+    var positions = [];
+    var anyInView = false;
+    var minElevation = display.minElevation;
+    for (var i = 0; i < stations.length; i++) {
+        if (stations[i].inView) {
+            var position = mat4.multiplyVec3(pwgl.earth.worldMatrix, stations[i].position, [0, 0, 0]);
+            positions.push(position[0], position[1], position[2],
+                    satPosition[0], satPosition[1], satPosition[2]);
+            minElevation = anyInView ?
+                    Math.min(minElevation, stations[i].minElevation) : stations[i].minElevation;
+            anyInView = true;
+        }
+    }
+    if (anyInView) {
+        updateLineMesh(pwgl.meshes.stationLinks, positions);
+        drawLineMesh(pwgl.meshes.stationLinks, identity, display.linkColor, gl.LINES);
+    }
+
+    // The footprint is a circle around the point below the satellite, whose
+    // angle from the centre of the Earth is where its elevation is the mask
+    var centre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+    var up = vec3.subtract(satPosition, centre, [0, 0, 0]);
+    var distance = vec3.length(up);
+    var radius = pwgl.earth.radius;
+    if (distance <= radius) {
+        return;
+    }
+    vec3.scale(up, 1 / distance);
+    var mask = minElevation * Math.PI / 180;
+    var angle = Math.acos(radius / distance * Math.cos(mask)) - mask;
+
+    // Two directions at right angles to up, to go round the circle
+    var side = vec3.cross(up, Math.abs(up[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0], [0, 0, 0]);
+    vec3.normalize(side);
+    var forward = vec3.cross(side, up, [0, 0, 0]);
+
+    var height = radius * 1.003;
+    positions = [];
+    for (var j = 0; j < display.footprintSamples; j++) {
+        var theta = 2 * Math.PI * j / display.footprintSamples;
+        for (var k = 0; k < 3; k++) {
+            positions.push(centre[k] + height * (Math.cos(angle) * up[k] +
+                    Math.sin(angle) * (Math.cos(theta) * side[k] + Math.sin(theta) * forward[k])));
+        }
+    }
+    updateLineMesh(pwgl.meshes.footprint, positions);
+    drawLineMesh(pwgl.meshes.footprint, identity,
+            anyInView ? display.footprintInViewColor : display.footprintColor, gl.LINE_LOOP);
+}
+
+
+
+// Code for clouds /////////////////////////////////////////////////////////////
+
+/**
+ * Defines the shape of the cloud layer and binds the necessary buffers.
+ */
+function setupCloudBuffers() {
+    pwgl.meshes.clouds = createSphereMesh(pwgl.clouds.radius,
+            pwgl.earth.latitudeStrips, pwgl.earth.longitudeStrips);
+}
+
+/**
+ * Turns the cloud layer relative to the Earth it is attached to.
+ * @param {Object} clouds The cloud layer
+ * @param {int} dt Simulated time passed (ms)
+ */
+function updateClouds(clouds, dt) {
+
+    // Calculate rotation
+    clouds.rotAngle += clouds.driftPerDay * (dt / (SOLAR_DAY * 1000)) * 2 * Math.PI;
+    clouds.rotAngle %= 2 * Math.PI;
+    quatFromAxisAngle([0, 1, 0], clouds.rotAngle, clouds.rotation);
+}
+
+
+
+// Code for atmosphere /////////////////////////////////////////////////////////
+
+/**
+ * Defines the shape of the atmosphere, a unit sphere which is scaled to the
+ * size of the atmosphere when drawn.
+ */
+function setupAtmosphereBuffers() {
+    pwgl.meshes.atmosphere = createSphereMesh(1.0, 48, 48);
+}
+
+/**
+ * Draws the atmosphere as a glowing shell around the Earth, using a simple
+ * scattering model: blue (Rayleigh) scattering on the lit side, which is
+ * strongest towards the limb where the view passes through the most air, and
+ * a sunset tint near the terminator where sunlight has passed through the
+ * most air. Must be drawn after the opaque objects, as it is blended on top.
+ */
+function drawAtmosphere() {
+
+    var earth = pwgl.earth; // This is just for readability
+    var atmosphere = earth.atmosphere;
+    var mesh = pwgl.meshes.atmosphere;
+
+    if (!atmosphere.show) {
+        return;
+    }
+
+    useProgram(pwgl.programs.atmosphere);
+
+    // Same position as the Earth, scaled up to the top of the atmosphere
+    var outerRadius = earth.radius * (1 + atmosphere.thickness);
+    mat4.multiply(pwgl.viewMatrix, earth.worldMatrix, pwgl.modelViewMatrix);
+    mat4.scale(pwgl.modelViewMatrix, [outerRadius, outerRadius, outerRadius]);
+
+    uploadModelViewMatrixToShader();
+    uploadNormalMatrixToShader();
+    uploadProjectionMatrixToShader();
+    gl.uniform3fv(pwgl.uniformLightDirectionLoc, pwgl.lightDirectionEye);
+    gl.uniform3fv(pwgl.uniformAtmosphereColorLoc, atmosphere.color);
+    gl.uniform3fv(pwgl.uniformSunsetColorLoc, atmosphere.sunsetColor);
+    gl.uniform1f(pwgl.uniformDensityLoc, atmosphere.density);
+    gl.uniform1f(pwgl.uniformInnerRadiusLoc, 1 / (1 + atmosphere.thickness));
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexNormal);
+    gl.vertexAttribPointer(pwgl.vertexNormalAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.buffers.vertexIndex);
+
+    // Add the scattered light to what is behind, without hiding anything
+    // drawn later. The sphere's triangles face inwards, so culling front
+    // faces leaves only the near side of the shell.
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.depthMask(false);
+    gl.enable(gl.CULL_FACE);
+    gl.cullFace(gl.FRONT);
+
+    gl.drawElements(gl.TRIANGLES, mesh.indexNumber, gl.UNSIGNED_SHORT, 0);
+
+    gl.disable(gl.CULL_FACE);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+}
+
+
+
+// Code for stars //////////////////////////////////////////////////////////////
+
+/**
+ * Places the stars on a unit sphere around the origin, in the same fixed
+ * (inertial) frame as the rest of the scene, and binds the necessary buffers.
+ */
+function setupStarBuffers() {
+
+    var vertexPositions = [];
+    var magnitudes = [];
+
+    for (var i = 0; i < BRIGHT_STARS.length; i++) {
+        var ra = BRIGHT_STARS[i][1] * Math.PI / 12;
+        var dec = BRIGHT_STARS[i][2] * Math.PI / 180;
+        var direction = eciToScene([Math.cos(dec) * Math.cos(ra),
+            Math.cos(dec) * Math.sin(ra), Math.sin(dec)]);
+
+        vertexPositions.push(direction[0], direction[1], direction[2]);
+        magnitudes.push(BRIGHT_STARS[i][3]);
+    }
+
+    // Faint stars spread evenly over the sky, getting more common the fainter
+    // they are, as in the real sky
+    var random = createRandom(pwgl.stars.seed);
+    for (var i = 0; i < pwgl.stars.faintStars; i++) {
+        var y = 2 * random() - 1;
+        var angle = 2 * Math.PI * random();
+        var r = Math.sqrt(1 - y * y);
+
+        vertexPositions.push(r * Math.cos(angle), y, r * Math.sin(angle));
+        magnitudes.push(6.5 - 3.5 * Math.pow(random(), 2));
+    }
+
+    var buffers = {};
+
+    buffers.vertexPosition = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexPosition);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertexPositions), gl.STATIC_DRAW);
+
+    buffers.vertexMagnitude = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexMagnitude);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(magnitudes), gl.STATIC_DRAW);
+
+    pwgl.meshes.stars = {
+        starNumber: magnitudes.length,
+        buffers: buffers
+    };
+}
+
+/**
+ * Creates a simple pseudo random number generator, which gives the same
+ * numbers each time for a given seed.
+ * @param {int} seed Starting state
+ * @returns {Function} Returns a number in [0, 1) each call
+ */
+function createRandom(seed) {
+    var state = seed;
+    return function () {
+        // Park-Miller minimal standard generator
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Draws the stars as points at infinity, so they turn with the camera but are
+ * not moved by it. Must be drawn first, as they are behind everything.
+ */
+function drawStars() {
+
+    var mesh = pwgl.meshes.stars;
+
+    if (!pwgl.stars.show) {
+        return;
+    }
+
+    useProgram(pwgl.programs.stars);
+
+    // The shader ignores the translation of the camera
+    mat4.set(pwgl.viewMatrix, pwgl.modelViewMatrix);
+    uploadModelViewMatrixToShader();
+    uploadProjectionMatrixToShader();
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexMagnitude);
+    gl.vertexAttribPointer(pwgl.vertexMagnitudeAttributeLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // Brighten what is behind, without hiding anything drawn later
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+
+    gl.drawArrays(gl.POINTS, 0, mesh.starNumber);
+
+    gl.depthMask(true);
+    gl.enable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+}
+
+
+
+// Code for the Sun ////////////////////////////////////////////////////////////
+
+/**
+ * Calculates the position of the Sun for the simulated time, using the low
+ * precision formulae from the Astronomical Almanac (accurate to 0.01 degrees
+ * between 1950 and 2050). The result is stored in pwgl.sun.
+ */
+function updateSun() {
+
+    var deg = Math.PI / 180; // This is just for readability
+    var jd = julianDateFromMs(pwgl.clock.time);
+    var n = jd - 2451545.0; // Days since J2000
+
+    // Ecliptic longitude of the Sun
+    var meanLongitude = (280.460 + 0.9856474 * n) * deg;
+    var meanAnomaly = (357.528 + 0.9856003 * n) * deg;
+    var longitude = meanLongitude + (1.915 * Math.sin(meanAnomaly) +
+            0.020 * Math.sin(2 * meanAnomaly)) * deg;
+    var obliquity = (23.439 - 0.0000004 * n) * deg;
+
+    // Equatorial coordinates
+    var rightAscension = Math.atan2(
+            Math.cos(obliquity) * Math.sin(longitude), Math.cos(longitude));
+    var declination = Math.asin(Math.sin(obliquity) * Math.sin(longitude));
+
+    // Greenwich hour angle, the longitude west of Greenwich where it is noon
+    var hourAngle = gstime(jd) - rightAscension;
+
+    // Direction to the Sun relative to the Earth's surface (latitude is the
+    // declination, longitude is minus the hour angle), in scene coordinates
+    // for an Earth with rotAngle 0
+    var earthFixed = eciToScene([
+        Math.cos(declination) * Math.cos(-hourAngle),
+        Math.cos(declination) * Math.sin(-hourAngle),
+        Math.sin(declination)
+    ]);
+
+    // Rotate with the Earth to get the direction in the scene
+    var direction = [0, 0, 0];
+    quat4.multiplyVec3(pwgl.earth.rotation, earthFixed, direction);
+
+    pwgl.sun = {
+        rightAscension: rightAscension,
+        declination: declination,
+        hourAngle: hourAngle,
+        direction: direction // Unit vector from the Earth towards the Sun
+    };
+}
+
+
+
+// Code for simulation clock ///////////////////////////////////////////////////
+
+/**
+ * Creates the clock that drives the simulation, which can run faster or
+ * slower than real time and be paused.
+ * @param {Number} time Starting UTC time (milliseconds since 1970)
+ * @returns {Object} The clock
+ */
+function createSimClock(time) {
+
+    var clock = {
+        time: time, // Current simulated UTC time (milliseconds since 1970)
+        speed: 8640, // Simulated time per real time, default of a day per 10s
+        paused: false
+    };
+
+    /**
+     * Advances the clock by the real time passed, unless paused.
+     * @param {Number} realDt Real time passed (milliseconds)
+     * @returns {Number} Simulated time passed (milliseconds)
+     */
+    clock.tick = function (realDt) {
+        var dt = clock.paused ? 0 : realDt * clock.speed;
+        clock.time += dt;
+        return dt;
+    };
+
+    /**
+     * Sets the simulated time.
+     * @param {Date|Number} time Date, or UTC milliseconds since 1970
+     */
+    clock.setTime = function (time) {
+        clock.time = time instanceof Date ? time.getTime() : time;
+    };
+
+    /**
+     * Sets how much faster than real time the simulation runs.
+     * @param {Number} speed Multiplier, 1 being real time
+     */
+    clock.setSpeed = function (speed) {
+        clock.speed = speed;
+    };
+
+    clock.pause = function () {
+        clock.paused = true;
+    };
+
+    clock.play = function () {
+        clock.paused = false;
+    };
+
+    return clock;
+}
+
+
+
+// Code for drawing / displaying ///////////////////////////////////////////////
+
+/**
+ * Draws the scene.
+ */
+function draw() {
+    pwgl.requestId = requestAnimFrame(draw);
+
+    var currentTime = Date.now();
+
+    handlePressedDownKeys();
+    handleGamepads();
+
+    // Ensure variables are set
+    if (pwgl.lastFrameTime === undefined) {
+        pwgl.lastFrameTime = Date.now();
+    }
+
+    // Advance the simulation by the real time passed
+    var realDt = currentTime - pwgl.lastFrameTime;
+    var dt = pwgl.clock.tick(realDt);
+
+    // Update every object in the scene, then position them
+    var objects = pwgl.scene.objects;
+    for (var i = 0; i < objects.length; i++) {
+        if (objects[i].update) {
+            objects[i].update(objects[i], dt, realDt);
+        }
+    }
+
+    updateWorldMatrix(pwgl.scene.root, null);
+    updateSun();
+    updateGroundStations(currentTime);
+
+    updateDisplay(currentTime);
+
+    drawStars();
+    useProgram(pwgl.programs[pwgl.lightingModel]);
+
+    // Opaque objects first, so transparent ones can be blended over them
+    var transparentObjects = [];
+    for (var i = 0; i < objects.length; i++) {
+        if (objects[i].hidden) {
+            continue;
+        }
+        if (objects[i].transparent) {
+            transparentObjects.push(objects[i]);
+        } else {
+            drawObject(objects[i]);
+        }
+    }
+
+    drawOrbitPaths();
+    drawOverlays();
+    drawGroundStations();
+    drawSensorFootprints();
+    drawMarkers();
+    useProgram(pwgl.programs[pwgl.lightingModel]);
+
+    drawTransparentObjects(transparentObjects);
+    drawAtmosphere();
+    updateMarkerLabels();
+
+    pwgl.lastFrameTime = currentTime;
+    pwgl.nbrOfFramesForFPS++;
+}
+
+/**
+ * Draws objects which are blended with what is behind them. They are drawn
+ * from the furthest to the nearest, and do not write to the depth buffer so
+ * they never hide each other. Objects whose texture has not loaded are
+ * skipped, as they would otherwise be drawn solid.
+ * @param {Array} objects The transparent objects to draw
+ */
+function drawTransparentObjects(objects) {
+
+    var depths = {};
+    var position = [0, 0, 0];
+    for (var i = 0; i < objects.length; i++) {
+        getWorldPosition(objects[i], position);
+        mat4.multiplyVec3(pwgl.viewMatrix, position);
+        depths[objects[i].id] = position[2];
+    }
+
+    // The camera looks along -z, so the most negative is furthest away
+    objects.sort(function (a, b) {
+        return depths[a.id] - depths[b.id];
+    });
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+
+    for (var i = 0; i < objects.length; i++) {
+        if (objects[i].color !== undefined) {
+            useProgram(pwgl.programs.line);
+            drawFlatObject(objects[i]);
+        } else if (objects[i].texture !== undefined && isTextureLoaded(objects[i].texture)) {
+            useProgram(pwgl.programs[pwgl.lightingModel]);
+            drawObject(objects[i]);
+        }
+    }
+
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+}
+
+/**
+ * Performs display updates necessary each draw cycle.
+ * This includes handling camera movement, updating the FPS counter and other
+ * variable displays, and uploading data to the shader.
+ * @param {int} currentTime The current time in milliseconds
+ */
+function updateDisplay(currentTime) {
+
+    // Update variable display
+    var sat = pwgl.activeSat;
+    var orbitDir;
+    if (sat === null) {
+        pwgl.displayOrbitsPerDay.innerHTML = "--";
+        pwgl.displayOrbitRadius.innerHTML = "--";
+    } else if (sat.useKepler) {
+        orbitDir = sat.elements.inclination <= Math.PI / 2 ? "anticlockwise" : "clockwise";
+        var orbitsPerDay = SOLAR_DAY / orbitalPeriod(sat.elements);
+        pwgl.displayOrbitsPerDay.innerHTML = orbitsPerDay.toFixed(1) + " (" + orbitDir + ")";
+        pwgl.displayOrbitRadius.innerHTML = Math.round(sat.orbitRadius) +
+                " (eccentricity " + sat.elements.eccentricity.toFixed(2) + ")";
+    } else {
+        orbitDir = sat.orbitsPerDay >= 0 ? "clockwise" : "anticlockwise";
+        var orbitsPerDayRounded = Math.abs(sat.orbitsPerDay).toFixed(1);
+        pwgl.displayOrbitsPerDay.innerHTML = orbitsPerDayRounded + " (" + orbitDir + ")";
+        pwgl.displayOrbitRadius.innerHTML = Math.round(sat.orbitRadius);
+    }
+
+    pwgl.displayLightingModel.innerHTML = pwgl.lightingModel === "phong" ?
+            "Per pixel (Phong)" : "Per vertex (Gouraud)";
+    pwgl.displayCameraMode.innerHTML = CAMERA_MODES[pwgl.camera.mode].name;
+    if (sat === null) {
+        pwgl.displayAttitude.innerHTML = "--";
+    } else {
+        var spin = vec3.length(sat.attitude.angularVelocity) * 180 / Math.PI;
+        pwgl.displayAttitude.innerHTML = ATTITUDE_MODES[sat.attitude.mode].name +
+                " (spinning " + spin.toFixed(1) + "&deg;/s)";
+    }
+    pwgl.displayGamepads.textContent = pwgl.gamepadNames.length > 0 ?
+            pwgl.gamepadNames.join(", ") : "None";
+
+    var clock = pwgl.clock;
+    pwgl.displaySimTime.innerHTML = new Date(clock.time).toISOString()
+            .replace("T", " ").substring(0, 19) + " UTC (x" + clock.speed +
+            (clock.paused ? ", paused)" : ")");
+
+
+    // Update FPS if a second or more has passed since last FPS update
+    if (currentTime - pwgl.lastFPSupdateTime >= 1000) {
+        pwgl.fpsCounter.innerHTML = pwgl.nbrOfFramesForFPS;
+        pwgl.nbrOfFramesForFPS = 0;
+        pwgl.lastFPSupdateTime = currentTime;
+    }
+
+    // Apply camera position and field of view
+    updateCamera(pwgl.camera);
+    mat4.perspective(pwgl.camera.fieldOfView, pwgl.aspectRatio, pwgl.camera.nearPlane, 100.0,
+            pwgl.projectionMatrix);
+
+    useProgram(pwgl.programs[pwgl.lightingModel]);
+
+    // Sunlight direction is needed relative to the camera
+    var lightDirection = mat4.multiplyVec4(pwgl.viewMatrix,
+            [pwgl.sun.direction[0], pwgl.sun.direction[1], pwgl.sun.direction[2], 0]);
+    pwgl.lightDirectionEye = lightDirection.slice(0, 3);
+    gl.uniform3fv(pwgl.uniformLightDirectionLoc, pwgl.lightDirectionEye);
+
+    gl.uniform1i(pwgl.uniformSamplerLoc, 0);
+    gl.uniform1i(pwgl.uniformNightSamplerLoc, 1);
+    gl.uniform1i(pwgl.uniformSpecularSamplerLoc, 2);
+    gl.uniform1i(pwgl.uniformNormalSamplerLoc, 3);
+
+    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+}
+
+/**
+ * Draws the provided object, at the position given by its world matrix.
+ * @param {Object} obj
+ */
+function drawObject(obj) {
+
+    var mesh = pwgl.meshes[obj.mesh];
+
+    mat4.multiply(pwgl.viewMatrix, obj.worldMatrix, pwgl.modelViewMatrix);
+
+    uploadModelViewMatrixToShader();
+    uploadNormalMatrixToShader();
+    uploadProjectionMatrixToShader();
+
+    // Bind position buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexPosition);
+    gl.vertexAttribPointer(pwgl.vertexPositionAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+
+    // Bind normal buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexNormal);
+    gl.vertexAttribPointer(pwgl.vertexNormalAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+    
+    // Bind index buffer
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.buffers.vertexIndex);
+
+    // Bind texture coordinate buffer
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexTextureCoordinate);
+    gl.vertexAttribPointer(pwgl.vertexTextureAttributeLoc, 2, gl.FLOAT, false, 0, 0);
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.uniform1f(pwgl.uniformOpacityLoc, obj.opacity !== undefined ? obj.opacity : 1.0);
+
+    // Night texture, blended in on the side facing away from the sun. This is
+    // optional so is only used once it has loaded.
+    var useNightTexture = obj.nightTexture !== undefined && isTextureLoaded(obj.nightTexture);
+    gl.uniform1i(pwgl.uniformUseNightTextureLoc, useNightTexture ? 1 : 0);
+    if (useNightTexture) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, getTexture(obj.nightTexture));
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Specular mask, so only parts of the surface (e.g. water) reflect the sun
+    var useSpecularMap = obj.specularMap !== undefined && isTextureLoaded(obj.specularMap);
+    gl.uniform1i(pwgl.uniformUseSpecularMapLoc, useSpecularMap ? 1 : 0);
+    if (useSpecularMap) {
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, getTexture(obj.specularMap));
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    // Normal map, which also needs the mesh to have tangents. Only the per
+    // pixel lighting program has the tangent attribute.
+    if (pwgl.vertexTangentAttributeLoc >= 0) {
+        var useNormalMap = obj.normalMap !== undefined &&
+                mesh.buffers.vertexTangent !== undefined && isTextureLoaded(obj.normalMap);
+        gl.uniform1i(pwgl.uniformUseNormalMapLoc, useNormalMap ? 1 : 0);
+        if (useNormalMap) {
+            gl.enableVertexAttribArray(pwgl.vertexTangentAttributeLoc);
+            gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffers.vertexTangent);
+            gl.vertexAttribPointer(pwgl.vertexTangentAttributeLoc, 3, gl.FLOAT, false, 0, 0);
+            gl.activeTexture(gl.TEXTURE3);
+            gl.bindTexture(gl.TEXTURE_2D, getTexture(obj.normalMap));
+            gl.activeTexture(gl.TEXTURE0);
+        } else {
+            gl.disableVertexAttribArray(pwgl.vertexTangentAttributeLoc);
+        }
+    }
+
+    // Draw each part of the mesh with its own material. Materials with only
+    // a colour are drawn white and tinted; those with neither a colour nor a
+    // texture use the object's texture. Model texture coordinates past 1 tile
+    // the image, so it is repeated rather than mirrored.
+    var groups = mesh.groups !== undefined ? mesh.groups :
+            [{start: 0, count: mesh.indexNumber, material: {}}];
+    for (var i = 0; i < groups.length; i++) {
+        var material = groups[i].material;
+        if (material.texture !== undefined) {
+            gl.bindTexture(gl.TEXTURE_2D, getTexture(material.texture, gl.REPEAT));
+        } else if (material.color !== undefined) {
+            gl.bindTexture(gl.TEXTURE_2D, pwgl.whiteTexture);
+        } else {
+            gl.bindTexture(gl.TEXTURE_2D, getTexture(obj.texture));
+        }
+        gl.uniform3fv(pwgl.uniformMaterialColorLoc,
+                material.color !== undefined ? material.color : [1.0, 1.0, 1.0]);
+        gl.drawElements(gl.TRIANGLES, groups[i].count, gl.UNSIGNED_SHORT, groups[i].start * 2);
+    }
+}
+
+
+// Code for camera /////////////////////////////////////////////////////////////
+
+/*
+ * Ways the camera can be controlled. In free and Earth-fixed modes the user
+ * turns the camera around, and moves, a target point; Earth-fixed mode keeps
+ * this relative to the Earth's surface so the camera turns with it. Follow
+ * mode keeps the target on the controlled satellite, and chase mode looks
+ * along the satellite's direction of travel from behind it.
+ */
+var CAMERA_MODES = {
+    free: {name: "Free", minDistance: 7.0, maxDistance: 80.0},
+    follow: {name: "Follow satellite", minDistance: 1.5, maxDistance: 40.0},
+    chase: {name: "Chase satellite", minDistance: 1.5, maxDistance: 10.0},
+    earthFixed: {name: "Earth-fixed", minDistance: 7.0, maxDistance: 80.0}
+};
+
+/**
+ * Creates a camera which orbits a target point, looking at it from a distance.
+ * Its orientation is a quaternion which turns the camera's own axes (looking
+ * along -z with y up) into the world, so it can be turned freely by the user
+ * without gimbal lock. The view matrix is rebuilt from this each frame.
+ * @param {Object} view Starting target, distance, and the yaw (about the
+ * world y axis) and pitch (up from the equator) the target is looked at from
+ * @returns {Object} The camera
+ */
+function createCamera(view) {
+    var camera = {
+        mode: "free",
+        target: vec3.create(), // Relative to the Earth in Earth-fixed mode
+        distance: 0,
+        desiredDistance: 0, // Distance eases towards this when zooming
+        orientation: quat4.create(), // Relative to the Earth in Earth-fixed mode
+        fieldOfView: 60, // Vertical, in degrees
+        minDistance: CAMERA_MODES.free.minDistance,
+        maxDistance: CAMERA_MODES.free.maxDistance,
+        nearPlane: 0.1, // Distance to the near clipping plane
+        minEarthDistance: pwgl.earth.radius + 0.15, // Keeps the near plane outside the Earth
+        chasePitch: 0.25, // Angle looked down at the satellite from behind (rad)
+        transitionTime: 1000, // Time taken to move to a new mode (ms)
+        zoomSpeed: 0.002, // Fraction of the distance zoomed per wheel pixel
+        zoomEasing: 100, // Time for the distance to get ~2/3 of the way (ms)
+        lastUpdateTime: null,
+
+        pose: null, // Where the camera actually is, in the world
+        transition: null,
+        home: view // Restored by resetCamera
+    };
+    resetCamera(camera);
+    return camera;
+}
+
+/**
+ * Returns the camera to the view it was created with, in free mode.
+ * @param {Object} camera The camera
+ */
+function resetCamera(camera) {
+    var home = camera.home;
+    var yaw = quatFromAxisAngle([0, 1, 0], home.yaw, quat4.create());
+    var pitch = quatFromAxisAngle([1, 0, 0], -home.pitch, quat4.create());
+
+    setCameraMode(camera, "free");
+    vec3.set(home.target, camera.target);
+    camera.distance = camera.desiredDistance = home.distance;
+    quat4.multiply(yaw, pitch, camera.orientation);
+}
+
+/**
+ * Switches the camera to another mode, moving smoothly from where it is.
+ * @param {Object} camera The camera
+ * @param {String} mode Name of the mode in CAMERA_MODES
+ */
+function setCameraMode(camera, mode) {
+    var pose = camera.pose;
+
+    camera.mode = mode;
+    camera.minDistance = CAMERA_MODES[mode].minDistance;
+    camera.maxDistance = CAMERA_MODES[mode].maxDistance;
+
+    if (pose === null) {
+        return; // Not drawn yet, so nothing to move from
+    }
+
+    // Start the new mode from the current view, so only what the mode
+    // controls changes
+    if (mode === "earthFixed") {
+        var toEarth = quat4.inverse(pwgl.earth.rotation, quat4.create());
+        var earthCentre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+        quat4.multiply(toEarth, pose.orientation, camera.orientation);
+        quat4.multiplyVec3(toEarth, vec3.subtract(pose.target, earthCentre, camera.target));
+    } else {
+        quat4.set(pose.orientation, camera.orientation);
+        vec3.set(pose.target, camera.target);
+    }
+    camera.distance = camera.desiredDistance = clampCameraDistance(camera, pose.distance);
+
+    camera.transition = {
+        start: Date.now(),
+        target: vec3.create(pose.target),
+        orientation: quat4.create(pose.orientation),
+        distance: pose.distance
+    };
+}
+
+/**
+ * Switches the camera to the next mode in CAMERA_MODES.
+ * @param {Object} camera The camera
+ */
+function nextCameraMode(camera) {
+    var modes = Object.keys(CAMERA_MODES);
+    setCameraMode(camera, modes[(modes.indexOf(camera.mode) + 1) % modes.length]);
+}
+
+/**
+ * Works out where the camera's mode wants it to be.
+ * @param {Object} camera The camera
+ * @returns {Object} World target, orientation and distance
+ */
+function getCameraModePose(camera) {
+    var sat = pwgl.activeSat;
+    var pose = {
+        target: vec3.create(camera.target),
+        orientation: quat4.create(camera.orientation),
+        distance: camera.distance
+    };
+
+    if (camera.mode === "earthFixed") {
+        var earthCentre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+        quat4.multiply(pwgl.earth.rotation, camera.orientation, pose.orientation);
+        vec3.add(quat4.multiplyVec3(pwgl.earth.rotation, pose.target), earthCentre);
+        return pose;
+    }
+
+    // Other modes look at the satellite, so are free mode without one
+    if (camera.mode === "free" || sat === null || sat.hidden) {
+        return pose;
+    }
+
+    getWorldPosition(sat, pose.target);
+    if (camera.mode === "follow") {
+        return pose;
+    }
+
+    // Chase mode, looking along the direction of travel with the Earth below
+    var forward = predictDirectionOfTravel(sat);
+    if (forward === null) {
+        return pose;
+    }
+
+    var up = vec3.subtract(pose.target, getWorldPosition(pwgl.earth, [0, 0, 0]), [0, 0, 0]);
+    var right = vec3.normalize(vec3.cross(forward, up, [0, 0, 0]));
+    vec3.cross(right, forward, up);
+
+    // The camera looks along its -z axis
+    quatFromBasis(right, up, vec3.negate(forward), pose.orientation);
+    quat4.multiply(pose.orientation, quatFromAxisAngle([1, 0, 0], -camera.chasePitch, pwgl.tempQuat));
+    return pose;
+}
+
+/**
+ * Rebuilds the view matrix from the camera's state.
+ * @param {Object} camera The camera
+ */
+function updateCamera(camera) {
+    var now = Date.now();
+
+    // Ease towards the zoomed distance, covering the same fraction of what is
+    // left in equal times whatever the frame rate
+    if (camera.lastUpdateTime !== null) {
+        var easing = 1 - Math.exp(-(now - camera.lastUpdateTime) / camera.zoomEasing);
+        camera.distance += (camera.desiredDistance - camera.distance) * easing;
+    }
+    camera.lastUpdateTime = now;
+
+    var pose = getCameraModePose(camera);
+
+    // Blend from where the camera was when the mode changed, easing in and out
+    var transition = camera.transition;
+    if (transition !== null) {
+        var t = Math.min((now - transition.start) / camera.transitionTime, 1);
+        t = t * t * (3 - 2 * t);
+
+        // Take the shortest way round (q and -q are the same orientation)
+        var from = transition.orientation;
+        if (quat4Dot(from, pose.orientation) < 0) {
+            for (var i = 0; i < 4; i++) {
+                pose.orientation[i] = -pose.orientation[i];
+            }
+        }
+
+        vec3.lerp(transition.target, pose.target, t, pose.target);
+        quat4.slerp(from, pose.orientation, t, pose.orientation);
+        pose.distance = transition.distance + (pose.distance - transition.distance) * t;
+        if (t === 1) {
+            camera.transition = null;
+        }
+    }
+    camera.pose = pose;
+
+    // Work out where the camera is from its target, distance and orientation
+    var eye = quat4.multiplyVec3(pose.orientation, [0, 0, pose.distance]);
+    var up = quat4.multiplyVec3(pose.orientation, [0, 1, 0]);
+    vec3.add(eye, pose.target);
+
+    // Never let the camera inside the Earth, wherever it is looking
+    var earthCentre = getWorldPosition(pwgl.earth, [0, 0, 0]);
+    var fromEarth = vec3.subtract(eye, earthCentre, [0, 0, 0]);
+    if (vec3.length(fromEarth) < camera.minEarthDistance) {
+        vec3.scale(vec3.normalize(fromEarth), camera.minEarthDistance);
+        vec3.add(earthCentre, fromEarth, eye);
+    }
+
+    mat4.lookAt(eye, pose.target, up, pwgl.viewMatrix);
+    camera.eye = eye;
+}
+
+/**
+ * Turns the camera around its target, as if the view were a ball being rolled
+ * by the mouse. Chase mode sets its own direction so ignores this.
+ * @param {Object} camera The camera
+ * @param {Number} dx Horizontal movement (pixels)
+ * @param {Number} dy Vertical movement (pixels)
+ */
+function rotateCamera(camera, dx, dy) {
+    var q = pwgl.tempQuat;
+
+    if (camera.mode === "chase") {
+        return;
+    }
+
+    // Turn about the camera's own axes, so dragging always moves the view the
+    // same way on screen
+    quat4.multiply(camera.orientation, quatFromAxisAngle([0, 1, 0], -dx / 200, q));
+    quat4.multiply(camera.orientation, quatFromAxisAngle([1, 0, 0], -dy / 200, q));
+    quat4.normalize(camera.orientation);
+}
+
+/**
+ * Moves the camera and its target across the screen. Only free and
+ * Earth-fixed modes let the target be moved.
+ * @param {Object} camera The camera
+ * @param {Number} dx Horizontal movement (pixels)
+ * @param {Number} dy Vertical movement (pixels)
+ */
+function panCamera(camera, dx, dy) {
+
+    if (camera.mode !== "free" && camera.mode !== "earthFixed") {
+        return;
+    }
+
+    // Further away, the scene appears smaller, so move more per pixel
+    var scale = camera.distance / 500;
+    var right = quat4.multiplyVec3(camera.orientation, [-dx * scale, 0, 0]);
+    var up = quat4.multiplyVec3(camera.orientation, [0, dy * scale, 0]);
+
+    vec3.add(camera.target, right);
+    vec3.add(camera.target, up);
+
+    // Do not lose the Earth entirely
+    if (vec3.length(camera.target) > camera.maxDistance) {
+        vec3.scale(vec3.normalize(camera.target), camera.maxDistance);
+    }
+}
+
+/**
+ * Moves the camera towards or away from its target, within its limits.
+ * @param {Object} camera The camera
+ * @param {Number} amount Distance to move away (scene units), negative to
+ * move closer
+ */
+function dollyCamera(camera, amount) {
+    camera.desiredDistance = clampCameraDistance(camera, camera.desiredDistance + amount);
+}
+
+/**
+ * Zooms the camera by moving it towards or away from its target, by a
+ * fraction of its distance so zooming feels the same near and far.
+ * @param {Object} camera The camera
+ * @param {Number} factor Amount to multiply the distance by
+ */
+function zoomCamera(camera, factor) {
+    camera.desiredDistance = clampCameraDistance(camera, camera.desiredDistance * factor);
+}
+
+/**
+ * Limits a distance from the target to what the camera's mode allows.
+ * @param {Object} camera The camera
+ * @param {Number} distance Distance (scene units)
+ * @returns {Number} The limited distance
+ */
+function clampCameraDistance(camera, distance) {
+    return Math.min(Math.max(distance, camera.minDistance), camera.maxDistance);
+}
+
+/**
+ * Sets the camera's field of view, within limits which keep the projection
+ * sensible.
+ * @param {Object} camera The camera
+ * @param {Number} degrees Vertical field of view
+ */
+function setFieldOfView(camera, degrees) {
+    camera.fieldOfView = Math.min(Math.max(degrees, 10), 120);
+}
+
+
+
+// Code for picking ///////////////////////////////////////////////////////////
+
+/**
+ * Finds what is under a point on the canvas: the nearest satellite (or other
+ * object whose mesh has bounds), or else the point on the Earth. A "pick"
+ * event is sent from the canvas with the result as its detail.
+ * @param {Number} clientX Horizontal position in the window (pixels)
+ * @param {Number} clientY Vertical position in the window (pixels)
+ * @returns {Object} The object hit, the world position hit and, for the
+ * Earth, its latitude and longitude (degrees), or null if nothing was hit
+ */
+function pickAt(clientX, clientY) {
+
+    var ray = getPickRay(clientX, clientY);
+    var objects = pwgl.scene.objects;
+    var nearest = null;
+    var nearestT = Infinity;
+
+    for (var i = 0; i < objects.length; i++) {
+        var obj = objects[i];
+        var mesh = pwgl.meshes[obj.mesh];
+        var t = null;
+
+        if (obj.hidden) {
+            continue;
+        }
+        if (obj === pwgl.earth) {
+            t = intersectSphere(ray, getWorldPosition(obj, [0, 0, 0]), obj.radius);
+        } else if (mesh !== undefined && mesh.bounds !== undefined) {
+            t = intersectBounds(ray, obj.worldMatrix, mesh.bounds);
+        }
+
+        if (t !== null && t < nearestT) {
+            nearest = obj;
+            nearestT = t;
+        }
+    }
+
+    var result = null;
+    if (nearest !== null) {
+        result = {
+            object: nearest,
+            position: vec3.add(vec3.scale(ray.direction, nearestT, [0, 0, 0]), ray.origin)
+        };
+        if (nearest === pwgl.earth) {
+            var latLong = getLatLong(result.position);
+            result.latitude = latLong.latitude;
+            result.longitude = latLong.longitude;
+        }
+    }
+
+    canvas.dispatchEvent(new CustomEvent("pick", {detail: result}));
+    return result;
+}
+
+/**
+ * Works out the ray from the camera through a point on the canvas, by
+ * turning the point on the near and far planes back into world coordinates.
+ * @param {Number} clientX Horizontal position in the window (pixels)
+ * @param {Number} clientY Vertical position in the window (pixels)
+ * @returns {Object} The ray's origin and direction (not unit length), so
+ * points on it are origin + t * direction
+ */
+function getPickRay(clientX, clientY) {
+    var rect = canvas.getBoundingClientRect();
+    var x = 2 * (clientX - rect.left) / rect.width - 1;
+    var y = 1 - 2 * (clientY - rect.top) / rect.height;
+
+    var inverse = mat4.multiply(pwgl.projectionMatrix, pwgl.viewMatrix, mat4.create());
+    mat4.inverse(inverse);
+
+    var near = mat4.multiplyVec4(inverse, [x, y, -1, 1]);
+    var far = mat4.multiplyVec4(inverse, [x, y, 1, 1]);
+    var origin = [near[0] / near[3], near[1] / near[3], near[2] / near[3]];
+    var end = [far[0] / far[3], far[1] / far[3], far[2] / far[3]];
+
+    return {origin: origin, direction: vec3.subtract(end, origin)};
+}
+
+/**
+ * Finds where a ray first hits a sphere.
+ * @param {Object} ray Ray from getPickRay
+ * @param {vec3} centre Centre of the sphere
+ * @param {Number} radius Radius of the sphere
+ * @returns {Number} Distance along the ray (t), or null if it misses
+ */
+function intersectSphere(ray, centre, radius) {
+    var d = ray.direction;
+    var oc = vec3.subtract(ray.origin, centre, [0, 0, 0]);
+
+    // Solve |oc + t d|^2 = r^2 for the smallest t in front of the camera
+    var a = vec3.dot(d, d);
+    var b = 2 * vec3.dot(oc, d);
+    var c = vec3.dot(oc, oc) - radius * radius;
+    var discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) {
+        return null;
+    }
+
+    var t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (t < 0) {
+        t = (-b + Math.sqrt(discriminant)) / (2 * a); // Starting inside
+    }
+    return t >= 0 ? t : null;
+}
+
+/**
+ * Finds where a ray first hits an object's bounding box. The ray is moved
+ * into the object's own coordinates, where the box is aligned with the axes,
+ * which keeps distances along it (t) the same.
+ * @param {Object} ray Ray from getPickRay
+ * @param {mat4} worldMatrix The object's world matrix
+ * @param {Object} bounds Corners of the box, from computeBounds
+ * @returns {Number} Distance along the ray (t), or null if it misses
+ */
+function intersectBounds(ray, worldMatrix, bounds) {
+    var toLocal = mat4.inverse(worldMatrix, mat4.create());
+    var origin = mat4.multiplyVec3(toLocal, ray.origin, [0, 0, 0]);
+    var end = mat4.multiplyVec3(toLocal, vec3.add(ray.origin, ray.direction, [0, 0, 0]));
+    var direction = vec3.subtract(end, origin);
+
+    // Narrow the range of t to where the ray is between each pair of faces
+    var tMin = 0;
+    var tMax = Infinity;
+    for (var i = 0; i < 3; i++) {
+        if (Math.abs(direction[i]) < 1e-12) {
+            if (origin[i] < bounds.min[i] || origin[i] > bounds.max[i]) {
+                return null;
+            }
+            continue;
+        }
+        var t1 = (bounds.min[i] - origin[i]) / direction[i];
+        var t2 = (bounds.max[i] - origin[i]) / direction[i];
+        tMin = Math.max(tMin, Math.min(t1, t2));
+        tMax = Math.min(tMax, Math.max(t1, t2));
+    }
+    return tMin <= tMax ? tMin : null;
+}
+
+/**
+ * Finds the latitude and longitude of a point, allowing for the rotation of
+ * the Earth. Longitude 0 is on the Earth's -x axis and 90 east on its +z
+ * axis, as the texture is wrapped.
+ * @param {vec3} position World position
+ * @returns {Object} Latitude (north positive) and longitude (east positive)
+ * in degrees
+ */
+function getLatLong(position) {
+    var toEarth = mat4.inverse(pwgl.earth.worldMatrix, mat4.create());
+    var p = mat4.multiplyVec3(toEarth, position, [0, 0, 0]);
+
+    return {
+        latitude: Math.asin(p[1] / vec3.length(p)) * 180 / Math.PI,
+        longitude: Math.atan2(p[2], -p[0]) * 180 / Math.PI
+    };
+}
+
+/**
+ * Formats a latitude and longitude for display, e.g. "51.48N, 0.01W".
+ * @param {Number} latitude Degrees, north positive
+ * @param {Number} longitude Degrees, east positive
+ * @returns {String}
+ */
+function formatLatLong(latitude, longitude) {
+    return Math.abs(latitude).toFixed(2) + (latitude < 0 ? "S" : "N") + ", " +
+            Math.abs(longitude).toFixed(2) + (longitude < 0 ? "W" : "E");
+}
+
+
+
+// Code for key bindings ///////////////////////////////////////////////////////
+
+/*
+ * Everything the user can do from the keyboard, in the order shown in the
+ * controls table, with the keys (KeyboardEvent.code) bound by default.
+ * "hold" actions repeat every frame the key is down, "press" actions happen
+ * once per key-press, and "modifier" actions change what dragging does.
+ */
+var ACTIONS = {
+    "sat.increaseSpeed": {type: "hold", keys: ["ArrowRight"],
+        description: "Accelerate satellite clockwise (prograde burn)"},
+    "sat.decreaseSpeed": {type: "hold", keys: ["ArrowLeft"],
+        description: "Accelerate satellite anticlockwise (retrograde burn)"},
+    "sat.increaseRadius": {type: "hold", keys: ["ArrowUp"],
+        description: "Increase orbit radius (radial burn away from Earth)"},
+    "sat.decreaseRadius": {type: "hold", keys: ["ArrowDown"],
+        description: "Decrease orbit radius (radial burn towards Earth)"},
+    "sat.toggleKepler": {type: "press", keys: ["KeyK"],
+        description: "Toggle Keplerian orbital mechanics"},
+    "sat.nextAttitudeMode": {type: "press", keys: ["KeyM"],
+        description: "Switch attitude mode (nadir, Sun, inertial, tumble)"},
+    "sat.pitchUp": {type: "hold", keys: ["KeyW"],
+        description: "Pitch satellite up"},
+    "sat.pitchDown": {type: "hold", keys: ["KeyS"],
+        description: "Pitch satellite down"},
+    "sat.yawLeft": {type: "hold", keys: ["KeyA"],
+        description: "Yaw satellite left"},
+    "sat.yawRight": {type: "hold", keys: ["KeyD"],
+        description: "Yaw satellite right"},
+    "sat.rollLeft": {type: "hold", keys: ["KeyQ"],
+        description: "Roll satellite left"},
+    "sat.rollRight": {type: "hold", keys: ["KeyE"],
+        description: "Roll satellite right"},
+    "clock.togglePause": {type: "press", keys: ["KeyP"],
+        description: "Pause / resume simulation"},
+    "clock.slower": {type: "press", keys: ["BracketLeft"],
+        description: "Halve simulation speed"},
+    "clock.faster": {type: "press", keys: ["BracketRight"],
+        description: "Double simulation speed"},
+    "clock.now": {type: "press", keys: ["KeyN"],
+        description: "Jump to current time at real speed"},
+    "display.nextLightingModel": {type: "press", keys: ["KeyL"],
+        description: "Switch between per vertex and per pixel lighting"},
+    "display.toggleOrbits": {type: "press", keys: ["KeyO"],
+        description: "Show / hide orbit paths and ground track"},
+    "display.toggleSensor": {type: "press", keys: ["KeyF"],
+        description: "Show / hide sensor cone of controlled satellite"},
+    "camera.reset": {type: "press", keys: ["KeyR"],
+        description: "Reset camera view"},
+    "camera.nextMode": {type: "press", keys: ["KeyC"],
+        description: "Switch camera mode (free, follow, chase, Earth-fixed)"},
+    "camera.panX": {type: "modifier", keys: ["ControlLeft", "ControlRight"],
+        description: "Move camera sideways"},
+    "camera.panY": {type: "modifier", keys: ["KeyV"],
+        description: "Move camera up / down"},
+    "camera.dolly": {type: "modifier", keys: ["ShiftLeft", "ShiftRight"],
+        description: "Move camera closer / further"}
+};
+
+var BINDINGS_STORAGE_KEY = "webgl-earth.keyBindings";
+
+/**
+ * Sets up the key bindings from the defaults, replaced by any the user has
+ * saved.
+ */
+function loadBindings() {
+    var saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY)) || {};
+    } catch (e) {
+        saved = {}; // Unreadable, so the defaults are used
+    }
+
+    pwgl.bindings = {};
+    for (var action in ACTIONS) {
+        pwgl.bindings[action] = Array.isArray(saved[action]) ?
+                saved[action] : ACTIONS[action].keys.slice();
+    }
+}
+
+/**
+ * Binds keys to an action, saving the change so it is kept next time. The
+ * keys are taken from any other actions they were bound to, so one key press
+ * never does two things.
+ * @param {String} action Name of the action in ACTIONS
+ * @param {Array} keys Codes (KeyboardEvent.code) of the keys
+ */
+function setBinding(action, keys) {
+    if (ACTIONS[action] === undefined) {
+        throw "Error setBinding() - Unknown action: " + action;
+    }
+    for (var other in pwgl.bindings) {
+        pwgl.bindings[other] = pwgl.bindings[other].filter(function (key) {
+            return keys.indexOf(key) < 0;
+        });
+    }
+    pwgl.bindings[action] = keys;
+    saveBindings();
+}
+
+/**
+ * Returns every action to its default keys.
+ */
+function resetBindings() {
+    try {
+        localStorage.removeItem(BINDINGS_STORAGE_KEY);
+    } catch (e) {
+        // Storage is unavailable, so nothing was saved
+    }
+    loadBindings();
+}
+
+/**
+ * Saves the bindings which differ from the defaults.
+ */
+function saveBindings() {
+    var changed = {};
+    for (var action in ACTIONS) {
+        if (pwgl.bindings[action].join() !== ACTIONS[action].keys.join()) {
+            changed[action] = pwgl.bindings[action];
+        }
+    }
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(changed));
+    } catch (e) {
+        // Storage is unavailable, so the bindings last until the page closes
+    }
+}
+
+/**
+ * Finds the actions a key is bound to.
+ * @param {String} code Code (KeyboardEvent.code) of the key
+ * @returns {Array} Names of the actions
+ */
+function getActionsForKey(code) {
+    var actions = [];
+    for (var action in pwgl.bindings) {
+        if (pwgl.bindings[action].indexOf(code) >= 0) {
+            actions.push(action);
+        }
+    }
+    return actions;
+}
+
+/**
+ * Checks whether an action is being held, by one of its keys or an on-screen
+ * control.
+ * @param {String} action Name of the action in ACTIONS
+ * @returns {Boolean}
+ */
+function isActionActive(action) {
+    if (pwgl.heldActions[action]) {
+        return true;
+    }
+    var keys = pwgl.bindings[action];
+    for (var i = 0; i < keys.length; i++) {
+        if (pwgl.pressedKeys[keys[i]]) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Gives a readable name for a key, e.g. "K" for "KeyK".
+ * @param {String} code Code (KeyboardEvent.code) of the key
+ * @returns {String}
+ */
+function getKeyName(code) {
+    var names = {
+        ArrowRight: "Right arrow",
+        ArrowLeft: "Left arrow",
+        ArrowUp: "Up arrow",
+        ArrowDown: "Down arrow",
+        BracketLeft: "[",
+        BracketRight: "]",
+        Control: "Ctrl"
+    };
+
+    // Left and right modifier keys do the same thing, so share a name
+    var name = code.replace(/^(Control|Shift|Alt|Meta)(Left|Right)$/, "$1")
+            .replace(/^(Key|Digit)/, "");
+    return names[name] !== undefined ? names[name] : name;
+}
+
+/**
+ * Fills the controls table with the current key bindings. Clicking a key
+ * waits for a new key to bind to that action.
+ */
+function updateControlsTable() {
+    var table = pwgl.controlsTable;
+    table.innerHTML = "";
+
+    for (var action in ACTIONS) {
+        var names = [];
+        for (var i = 0; i < pwgl.bindings[action].length; i++) {
+            var name = getKeyName(pwgl.bindings[action][i]);
+            if (names.indexOf(name) < 0) {
+                names.push(name);
+            }
+        }
+
+        var keys = names.length > 0 ? names.join(" / ") : "(none)";
+        if (pwgl.rebindingAction === action) {
+            keys = "Press a key...";
+        } else if (ACTIONS[action].type === "modifier") {
+            keys = "Mouse drag + " + keys;
+        }
+
+        var row = document.createElement("tr");
+        var keyCell = document.createElement("td");
+        var descriptionCell = document.createElement("td");
+        var button = document.createElement("button");
+        button.textContent = keys;
+        button.title = "Click to change";
+        button.setAttribute("data-action", action);
+        button.addEventListener('click', handleRebindClicked, false);
+        keyCell.appendChild(button);
+        descriptionCell.textContent = ACTIONS[action].description;
+        row.appendChild(keyCell);
+        row.appendChild(descriptionCell);
+        table.appendChild(row);
+    }
+}
+
+
+
+// User Interaction ////////////////////////////////////////////////////////////
+
+/**
+ * Handles user interaction through keys (or controls) held down.
+ */
+function handlePressedDownKeys() {
+
+    var radius = 0;
+    var speed = 0;
+
+    if (isActionActive("sat.increaseRadius")) {
+        radius += 1;
+    }
+    if (isActionActive("sat.decreaseRadius")) {
+        radius -= 1;
+    }
+    if (isActionActive("sat.increaseSpeed")) {
+        speed += 1;
+    }
+    if (isActionActive("sat.decreaseSpeed")) {
+        speed -= 1;
+    }
+
+    if (pwgl.activeSat !== null && (radius !== 0 || speed !== 0)) {
+        controlSatellite(pwgl.activeSat, radius, speed);
+    }
+
+    // Torque about the controlled satellite's axes: roll about x (the
+    // direction of travel when nadir pointing), pitch about y and yaw about z
+    var torque = pwgl.attitudeTorque;
+    torque[0] = (isActionActive("sat.rollRight") ? 1 : 0) - (isActionActive("sat.rollLeft") ? 1 : 0);
+    torque[1] = (isActionActive("sat.pitchUp") ? 1 : 0) - (isActionActive("sat.pitchDown") ? 1 : 0);
+    torque[2] = (isActionActive("sat.yawRight") ? 1 : 0) - (isActionActive("sat.yawLeft") ? 1 : 0);
+}
+
+/**
+ * Changes the orbit of a satellite for one frame of user control. With
+ * Keplerian orbital mechanics this fires the engine rather than setting the
+ * orbit directly.
+ * @param {Object} sat The satellite
+ * @param {Number} radius Amount to raise (positive) or lower the orbit, from
+ * -1 to 1
+ * @param {Number} speed Amount to speed up (positive) or slow down, from
+ * -1 to 1
+ */
+function controlSatellite(sat, radius, speed) {
+
+    if (sat.useKepler) {
+        // Prograde (speed up) and radial (away from Earth) burns
+        applyBurn(sat, speed * sat.burnDeltaV, radius * sat.burnDeltaV);
+        return;
+    }
+
+    // Orbit radius, never below the minimum
+    sat.orbitRadius += 0.1 * radius;
+    if (sat.orbitRadius < sat.minOrbitRadius) {
+        sat.orbitRadius = sat.minOrbitRadius;
+    }
+
+    // Sat speed, which may reverse the orbital direction
+    sat.orbitsPerDay += 0.05 * speed;
+}
+
+/**
+ * Handles user interaction through any connected gamepads, which are polled
+ * each frame so they can be plugged in or removed at any time. The left
+ * stick controls the satellite (up / down for radius, left / right for
+ * speed) and the right stick turns the camera. The sticks of all the pads are
+ * added together, up to a full tilt, so two pads never do more than one.
+ */
+function handleGamepads() {
+
+    var settings = pwgl.gamepadSettings; // This is just for readability
+    var gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    var names = [];
+    var left = [0, 0];
+    var right = [0, 0];
+
+    for (var i = 0; i < gamepads.length; i++) {
+        var gamepad = gamepads[i];
+        if (!gamepad || !gamepad.connected || gamepad.axes.length < 4) {
+            continue;
+        }
+        names.push(gamepad.id);
+
+        // Stick axes are -1 (left / up) to 1 (right / down)
+        var padLeft = applyDeadZone(gamepad.axes[0], gamepad.axes[1], settings.deadZone);
+        var padRight = applyDeadZone(gamepad.axes[2], gamepad.axes[3], settings.deadZone);
+        for (var j = 0; j < 2; j++) {
+            left[j] = Math.max(-1, Math.min(left[j] + padLeft[j], 1));
+            right[j] = Math.max(-1, Math.min(right[j] + padRight[j], 1));
+        }
+    }
+
+    if (pwgl.activeSat !== null && (left[0] !== 0 || left[1] !== 0)) {
+        controlSatellite(pwgl.activeSat, -left[1], left[0]);
+    }
+    if (right[0] !== 0 || right[1] !== 0) {
+        rotateCamera(pwgl.camera, right[0] * settings.cameraSpeed,
+                right[1] * settings.cameraSpeed);
+    }
+
+    pwgl.gamepadNames = names;
+}
+
+/**
+ * Ignores small movements of a stick around its centre, which it may not
+ * return to exactly, then scales the rest so movement starts smoothly from 0.
+ * @param {Number} x Horizontal axis, -1 to 1
+ * @param {Number} y Vertical axis, -1 to 1
+ * @param {Number} deadZone Distance from the centre to ignore, 0 to 1
+ * @returns {Array} The adjusted x and y
+ */
+function applyDeadZone(x, y, deadZone) {
+    var length = Math.sqrt(x * x + y * y);
+    if (length <= deadZone) {
+        return [0, 0];
+    }
+    var scale = Math.min((length - deadZone) / (1 - deadZone), 1) / length;
+    return [x * scale, y * scale];
+}
+
+/**
+ * Handles actions which should only happen once when their key is pressed,
+ * rather than for every frame it is held.
+ * @param {String} action Name of the action in ACTIONS
+ */
+function handleAction(action) {
+
+    // Toggle Keplerian orbital mechanics
+    if (action === "sat.toggleKepler" && pwgl.activeSat !== null) {
+        toggleKeplerMode(pwgl.activeSat);
+    }
+
+    // Switch attitude mode
+    if (action === "sat.nextAttitudeMode" && pwgl.activeSat !== null) {
+        nextAttitudeMode(pwgl.activeSat);
+    }
+
+    // Pause or resume the simulation
+    if (action === "clock.togglePause") {
+        if (pwgl.clock.paused) {
+            pwgl.clock.play();
+        } else {
+            pwgl.clock.pause();
+        }
+    }
+
+    // Halve or double the simulation speed
+    if (action === "clock.slower") {
+        pwgl.clock.setSpeed(Math.max(pwgl.clock.speed / 2, 0.125));
+    }
+    if (action === "clock.faster") {
+        pwgl.clock.setSpeed(Math.min(pwgl.clock.speed * 2, 1048576));
+    }
+
+    // Switch between per vertex and per pixel lighting
+    if (action === "display.nextLightingModel") {
+        var index = pwgl.lightingModels.indexOf(pwgl.lightingModel);
+        pwgl.lightingModel = pwgl.lightingModels[(index + 1) % pwgl.lightingModels.length];
+    }
+
+    // Show or hide orbit paths and the ground track
+    if (action === "display.toggleOrbits") {
+        pwgl.orbitDisplay.show = !pwgl.orbitDisplay.show;
+    }
+
+    // Show or hide the controlled satellite's sensor
+    if (action === "display.toggleSensor" && pwgl.activeSat !== null) {
+        toggleSensor(pwgl.activeSat);
+    }
+
+    // Switch camera mode
+    if (action === "camera.nextMode") {
+        nextCameraMode(pwgl.camera);
+    }
+
+    // Reset the camera
+    if (action === "camera.reset") {
+        resetCamera(pwgl.camera);
+    }
+
+    // Jump to the current date and time, running in real time
+    if (action === "clock.now") {
+        pwgl.clock.setTime(Date.now());
+        pwgl.clock.setSpeed(1);
+    }
+}
+
+/**
+ * Handles something being picked on the canvas, showing it in the display.
+ * Picking a satellite the user can control makes it the controlled satellite.
+ * @param {CustomEvent} ev Event with the result of pickAt as its detail
+ */
+function handlePick(ev) {
+    var result = ev.detail;
+
+    if (result === null) {
+        pwgl.displayPicked.textContent = "--";
+    } else if (result.object === pwgl.earth) {
+        pwgl.displayPicked.textContent = formatLatLong(result.latitude, result.longitude);
+    } else {
+        pwgl.displayPicked.textContent = result.object.name;
+        if (result.object.controllable) {
+            pwgl.activeSat = result.object;
+            updateSatelliteChoice();
+        }
+    }
+}
+
+/**
+ * Handles the user clicking a key in the controls table, so the next key
+ * pressed is bound to its action.
+ * @param {Event} ev
+ */
+function handleRebindClicked(ev) {
+    pwgl.rebindingAction = ev.target.getAttribute("data-action");
+    updateControlsTable();
+}
+
+/**
+ * Handles the user resetting the key bindings.
+ */
+function handleResetBindings() {
+    pwgl.rebindingAction = null;
+    resetBindings();
+    updateControlsTable();
+}
+
+/**
+ * Handles the user choosing a TLE file, loading the satellites it contains.
  * @param {Event} ev
  */
+function handleTLEFileSelected(ev) {
+    var file = ev.target.files[0];
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+        loadTLESatellites(reader.result);
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Handles the user choosing the files of a model: an .obj file, optionally
+ * with its .mtl file and texture images. The model replaces the shape of the
+ * controlled satellite.
+ * @param {Event} ev
+ */
+function handleModelFilesSelected(ev) {
+
+    var files = Array.prototype.slice.call(ev.target.files);
+    var byExtension = function (extension) {
+        return files.filter(function (file) {
+            return file.name.toLowerCase().slice(-extension.length) === extension;
+        })[0];
+    };
+    var objFile = byExtension(".obj");
+    var mtlFile = byExtension(".mtl");
+    if (objFile === undefined) {
+        alert("Please choose an .obj file, along with its .mtl file and textures.");
+        return;
+    }
+
+    // Images are loaded straight from the chosen files
+    var textureUrls = {};
+    for (var i = 0; i < files.length; i++) {
+        if (files[i] !== objFile && files[i] !== mtlFile) {
+            textureUrls[files[i].name] = URL.createObjectURL(files[i]);
+        }
+    }
+
+    var objReader = new FileReader();
+    var mtlReader = new FileReader();
+    objReader.onload = function () {
+        if (mtlFile === undefined) {
+            useModel(objFile.name, objReader.result, null, textureUrls);
+        } else {
+            mtlReader.readAsText(mtlFile);
+        }
+    };
+    mtlReader.onload = function () {
+        useModel(objFile.name, objReader.result, mtlReader.result, textureUrls);
+    };
+    objReader.readAsText(objFile);
+}
+
+/**
+ * Loads a model and gives it to the controlled satellite, telling the user
+ * if it can not be read.
+ * @param {String} name Name of the model
+ * @param {String} objText Contents of the .obj file
+ * @param {String} mtlText Contents of the .mtl file, or null for none
+ * @param {Object} textureUrls Urls of the texture images, by file name
+ */
+function useModel(name, objText, mtlText, textureUrls) {
+    var mesh;
+    try {
+        mesh = loadModel(name, objText, mtlText, textureUrls);
+    } catch (e) {
+        revokeTextureUrls(textureUrls);
+        alert("Could not load " + name + ": " + e);
+        return;
+    }
+    if (pwgl.activeSat !== null) {
+        pwgl.activeSat.mesh = mesh;
+    }
+}
+
+/**
+ * Handles the user choosing a GeoJSON file, adding it as a map overlay.
+ * @param {Event} ev
+ */
+function handleGeoJSONFileSelected(ev) {
+    var file = ev.target.files[0];
+    if (!file) {
+        return;
+    }
+    var reader = new FileReader();
+    reader.onload = function () {
+        try {
+            loadGeoJSON(reader.result, {name: file.name});
+        } catch (e) {
+            alert("Could not load " + file.name + ": " + e);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Rebuilds the list of map overlays, with a checkbox to show or hide each.
+ */
+function updateOverlayChoice() {
+    var list = pwgl.overlayList;
+    list.innerHTML = "";
+    if (pwgl.overlays.length === 0) {
+        list.textContent = "None";
+        return;
+    }
+    pwgl.overlays.forEach(function (layer) {
+        var label = document.createElement("label");
+        var checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = layer.show;
+        checkbox.addEventListener('change', function () {
+            layer.show = checkbox.checked;
+        }, false);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(layer.name + " "));
+        list.appendChild(label);
+    });
+}
+
+/**
+ * Rebuilds the list of satellites the user can choose to control, keeping the
+ * current choice where possible.
+ */
+function updateSatelliteChoice() {
+
+    var sats = pwgl.scene.controllableSats();
+    if (sats.indexOf(pwgl.activeSat) < 0) {
+        pwgl.activeSat = sats.length > 0 ? sats[0] : null;
+    }
+
+    var select = pwgl.selectActiveSat;
+    select.innerHTML = "";
+    for (var i = 0; i < sats.length; i++) {
+        var option = document.createElement("option");
+        option.value = sats[i].id;
+        option.textContent = sats[i].name;
+        option.selected = sats[i] === pwgl.activeSat;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Handles the user adding a satellite, which is placed on a new orbit and
+ * becomes the satellite controlled by the arrow keys.
+ */
+function handleAddSatellite() {
+    var count = pwgl.scene.controllableSats().length;
+    var sat = createSatellite({
+        name: "Satellite " + (count + 1),
+        orbitRadius: 10.0 + 3.0 * (count % 5),
+        orbitAngle: Math.random() * 2 * Math.PI
+    });
+    pwgl.scene.add(sat);
+    pwgl.activeSat = sat;
+    updateSatelliteChoice();
+}
+
+/**
+ * Handles the user removing the satellite controlled by the arrow keys.
+ */
+function handleRemoveSatellite() {
+    if (pwgl.activeSat !== null) {
+        pwgl.scene.remove(pwgl.activeSat.id);
+    }
+}
+
+/**
+ * Handles the user choosing which satellite the arrow keys control.
+ * @param {Event} ev
+ */
+function handleSatelliteChosen(ev) {
+    pwgl.activeSat = pwgl.scene.get(ev.target.value);
+    ev.target.blur(); // Return arrow keys to the satellite, not the list
+}
+
+/**
+ * Handles user interaction through dragging a single pointer (the mouse, a
+ * pen or one finger).
+ * @param {PointerEvent} ev
+ * @param {Number} dx Horizontal movement (pixels)
+ * @param {Number} dy Vertical movement (pixels)
+ */
+function handleMouseAction(ev, dx, dy){
+    if (isActionActive("camera.dolly")) {
+        dollyCamera(pwgl.camera, dy / 10);  // Move closer / further
+    } else if (isActionActive("camera.panX")) {
+        panCamera(pwgl.camera, dx, 0);      // Move sideways
+    } else if (isActionActive("camera.panY")) {
+        panCamera(pwgl.camera, 0, dy);      // Move up / down
+    } else {
+        rotateCamera(pwgl.camera, dx, dy);  // Otherwise rotate
+    }
+}
+
+/**
+ * Handles user interaction through dragging two fingers, panning the camera
+ * with their midpoint and zooming as they pinch, so the scene follows the
+ * fingers.
+ * @param {Array} before Positions of the two pointers before moving
+ * @param {Array} after Positions of the two pointers after moving
+ */
+function handleTwoPointerAction(before, after) {
+    var pinchBefore = Math.sqrt(Math.pow(before[0].x - before[1].x, 2) +
+            Math.pow(before[0].y - before[1].y, 2));
+    var pinchAfter = Math.sqrt(Math.pow(after[0].x - after[1].x, 2) +
+            Math.pow(after[0].y - after[1].y, 2));
+
+    panCamera(pwgl.camera, (after[0].x + after[1].x - before[0].x - before[1].x) / 2,
+            (after[0].y + after[1].y - before[0].y - before[1].y) / 2);
+    if (pinchAfter > 0) {
+        zoomCamera(pwgl.camera, pinchBefore / pinchAfter);
+    }
+}
+
+/**
+ * Handles user interaction through the mouse-wheel, zooming the camera.
+ * @param {WheelEvent} ev
+ */
 function wheelHandler(ev) {
-    pwgl.zoom += ev.detail;
-    
-    // Prevent camera inversion
-    if(pwgl.zoom < 0){
-        pwgl.zoom = 0;
-    }else if (pwgl.zoom>180){
-        pwgl.zoom = 180;
+
+    // The scroll may be given in pixels, lines or pages
+    var pixels = ev.deltaY;
+    if (ev.deltaMode === 1) { // DOM_DELTA_LINE
+        pixels *= 16;
+    } else if (ev.deltaMode === 2) { // DOM_DELTA_PAGE
+        pixels *= canvas.clientHeight;
     }
-    
+
+    zoomCamera(pwgl.camera, Math.exp(pixels * pwgl.camera.zoomSpeed));
     ev.preventDefault();
 }
 
+/**
+ * Handles the user changing the field of view.
+ * @param {Event} ev
+ */
+function handleFieldOfViewChanged(ev) {
+    setFieldOfView(pwgl.camera, parseFloat(ev.target.value));
+}
+
 
 
 
@@ -602,12 +4390,16 @@ function wheelHandler(ev) {
 var gl;
 var pwgl = {}; //Many variables are added to this as properties
 pwgl.ongoingImageLoads = [];
+pwgl.tempMatrix = mat4.create(); // Scratch space to avoid allocating every frame
+pwgl.tempQuat = quat4.create();
 var canvas;
 
 // Variables for interactive control
-var transY = transZ = transX = 0;
-var xRot = yRot = zRot = xOffs = yOffs = drag = 0;
-pwgl.listOfPressedKeys = []; // Keep track of pressed down keys in a list
+pwgl.pointers = {}; // Positions of pointers (mouse, pen, fingers) held down
+pwgl.pressedKeys = {}; // Keep track of pressed down keys by KeyboardEvent.code
+pwgl.heldActions = {}; // Actions held by on-screen controls
+pwgl.attitudeTorque = [0, 0, 0]; // Applied to the controlled satellite, -1 to 1 about each axis
+pwgl.rebindingAction = null; // Action waiting for a new key
 
 
 function createGLContext(canvas) {
@@ -668,9 +4460,69 @@ function loadShaderFromDOM(id) {
     return shader;
 }
 
+/**
+ * Compiles and links the shader programs, then uses the program for the
+ * current lighting model.
+ */
 function setupShaders() {
-    var vertexShader = loadShaderFromDOM("shader-vs");
-    var fragmentShader = loadShaderFromDOM("shader-fs");
+    pwgl.currentProgram = null;
+    pwgl.programs = {
+        gouraud: createProgramFromDOM("shader-vs", "shader-fs"),
+        phong: createProgramFromDOM("shader-phong-vs", "shader-phong-fs"),
+        atmosphere: createProgramFromDOM("shader-atmosphere-vs", "shader-atmosphere-fs"),
+        stars: createProgramFromDOM("shader-stars-vs", "shader-stars-fs"),
+        line: createProgramFromDOM("shader-line-vs", "shader-line-fs")
+    };
+    useProgram(pwgl.programs[pwgl.lightingModel]);
+
+    pwgl.viewMatrix = mat4.create();
+    pwgl.modelViewMatrix = mat4.create();
+    pwgl.projectionMatrix = mat4.create();
+}
+
+// Locations looked up in every shader program, which are copied onto pwgl
+// (e.g. pwgl.uniformMVMatrixLoc) when the program is used. Names a program
+// does not use have a location of -1 (attributes) or null (uniforms).
+var SHADER_ATTRIBUTES = {
+    vertexPositionAttributeLoc: "aVertexPosition",
+    vertexTextureAttributeLoc: "aTextureCoordinates",
+    vertexNormalAttributeLoc: "aVertexNormal",
+    vertexTangentAttributeLoc: "aVertexTangent",
+    vertexMagnitudeAttributeLoc: "aMagnitude"
+};
+var SHADER_UNIFORMS = {
+    uniformMVMatrixLoc: "uMVMatrix",
+    uniformProjMatrixLoc: "uPMatrix",
+    uniformNormalMatrixLoc: "uNMatrix",
+    uniformSamplerLoc: "uSampler",
+    uniformNightSamplerLoc: "uNightSampler",
+    uniformUseNightTextureLoc: "uUseNightTexture",
+    uniformSpecularSamplerLoc: "uSpecularSampler",
+    uniformUseSpecularMapLoc: "uUseSpecularMap",
+    uniformNormalSamplerLoc: "uNormalSampler",
+    uniformUseNormalMapLoc: "uUseNormalMap",
+    uniformLightDirectionLoc: "uLightDirection",
+    uniformOpacityLoc: "uOpacity",
+    uniformColorLoc: "uColor",
+    uniformMaterialColorLoc: "uMaterialColor",
+    uniformAmbientLightColorLoc: "uAmbientLightColor",
+    uniformDiffuseLightColorLoc: "uDiffuseLightColor",
+    uniformSpecularLightColorLoc: "uSpecularLightColor",
+    uniformAtmosphereColorLoc: "uAtmosphereColor",
+    uniformSunsetColorLoc: "uSunsetColor",
+    uniformDensityLoc: "uDensity",
+    uniformInnerRadiusLoc: "uInnerRadius"
+};
+
+/**
+ * Creates a shader program from vertex and fragment shaders in the page.
+ * @param {String} vertexShaderId Id of the vertex shader script element
+ * @param {String} fragmentShaderId Id of the fragment shader script element
+ * @returns {Object} The program, its active attributes and all locations
+ */
+function createProgramFromDOM(vertexShaderId, fragmentShaderId) {
+    var vertexShader = loadShaderFromDOM(vertexShaderId);
+    var fragmentShader = loadShaderFromDOM(fragmentShaderId);
     var shaderProgram = gl.createProgram();
     gl.attachShader(shaderProgram, vertexShader);
     gl.attachShader(shaderProgram, fragmentShader);
@@ -680,73 +4532,287 @@ function setupShaders() {
         alert("Failed to link shaders: " + gl.getProgramInfoLog(shaderProgram));
     }
 
-    gl.useProgram(shaderProgram);
+    var info = {program: shaderProgram, attributes: [], locations: {}};
+    for (var key in SHADER_ATTRIBUTES) {
+        var loc = gl.getAttribLocation(shaderProgram, SHADER_ATTRIBUTES[key]);
+        info.locations[key] = loc;
+        if (loc >= 0) {
+            info.attributes.push(loc);
+        }
+    }
+    for (var key in SHADER_UNIFORMS) {
+        info.locations[key] = gl.getUniformLocation(shaderProgram, SHADER_UNIFORMS[key]);
+    }
+    return info;
+}
+
+/**
+ * Switches to a shader program, enabling only the attributes it uses.
+ * @param {Object} info Program created by createProgramFromDOM
+ */
+function useProgram(info) {
+    if (pwgl.currentProgram === info) {
+        return;
+    }
+    if (pwgl.currentProgram) {
+        for (var i = 0; i < pwgl.currentProgram.attributes.length; i++) {
+            gl.disableVertexAttribArray(pwgl.currentProgram.attributes[i]);
+        }
+    }
+
+    gl.useProgram(info.program);
+    for (var i = 0; i < info.attributes.length; i++) {
+        gl.enableVertexAttribArray(info.attributes[i]);
+    }
+    for (var key in info.locations) {
+        pwgl[key] = info.locations[key];
+    }
+    pwgl.currentProgram = info;
+}
 
-    pwgl.vertexPositionAttributeLoc = gl.getAttribLocation(shaderProgram, "aVertexPosition");
-    pwgl.vertexTextureAttributeLoc = gl.getAttribLocation(shaderProgram, "aTextureCoordinates");
-    pwgl.uniformMVMatrixLoc = gl.getUniformLocation(shaderProgram, "uMVMatrix");
-    pwgl.uniformProjMatrixLoc = gl.getUniformLocation(shaderProgram, "uPMatrix");
-    pwgl.uniformSamplerLoc = gl.getUniformLocation(shaderProgram, "uSampler");
 
-    pwgl.uniformNormalMatrixLoc = gl.getUniformLocation(shaderProgram, "uNMatrix");
-    pwgl.vertexNormalAttributeLoc = gl.getAttribLocation(shaderProgram, "aVertexNormal");
-    pwgl.uniformLightPositionLoc = gl.getUniformLocation(shaderProgram, "uLightPosition");
-    pwgl.uniformAmbientLightColorLoc = gl.getUniformLocation(shaderProgram, "uAmbientLightColor");
-    pwgl.uniformDiffuseLightColorLoc = gl.getUniformLocation(shaderProgram, "uDiffuseLightColor");
-    pwgl.uniformSpecularLightColorLoc = gl.getUniformLocation(shaderProgram, "uSpecularLightColor");
 
-    gl.enableVertexAttribArray(pwgl.vertexNormalAttributeLoc);
-    gl.enableVertexAttribArray(pwgl.vertexPositionAttributeLoc);
-    gl.enableVertexAttribArray(pwgl.vertexTextureAttributeLoc);
+// SCENE GRAPH /////////////////////////////////////////////////////////////////
 
-    pwgl.modelViewMatrix = mat4.create();
-    pwgl.projectionMatrix = mat4.create();
-    pwgl.modelViewMatrixStack = [];
+/**
+ * Creates a scene graph node, positioned relative to its parent by a local
+ * position, rotation (quaternion) and scale. Its world matrix is calculated
+ * by updateWorldMatrix.
+ * @param {Object} props Properties to add to the node
+ * @returns {Object} The node
+ */
+function createNode(props) {
+    var node = {
+        position: [0.0, 0.0, 0.0],
+        rotation: [0.0, 0.0, 0.0, 1.0],
+        scale: [1.0, 1.0, 1.0],
+        parent: null,
+        children: [],
+        localMatrix: mat4.create(),
+        worldMatrix: mat4.create()
+    };
+    for (var key in props) {
+        node[key] = props[key];
+    }
+    return node;
+}
+
+function addChild(parent, child) {
+    if (child.parent !== null) {
+        removeChild(child.parent, child);
+    }
+    parent.children.push(child);
+    child.parent = parent;
+}
+
+function removeChild(parent, child) {
+    var index = parent.children.indexOf(child);
+    if (index >= 0) {
+        parent.children.splice(index, 1);
+        child.parent = null;
+    }
+}
+
+/**
+ * Checks whether a node is the same as, or attached below, another node.
+ */
+function isDescendant(node, ancestor) {
+    for (; node !== null; node = node.parent) {
+        if (node === ancestor) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Calculates the world matrices of a node and everything attached to it.
+ * @param {Object} node
+ * @param {mat4} parentWorldMatrix World matrix of the parent, or null for the
+ * root of the graph
+ */
+function updateWorldMatrix(node, parentWorldMatrix) {
+    var local = node.localMatrix;
+    mat4.identity(local);
+    mat4.translate(local, node.position);
+    mat4.multiply(local, quatToMat4(node.rotation, pwgl.tempMatrix));
+    mat4.scale(local, node.scale);
+
+    if (parentWorldMatrix === null) {
+        mat4.set(local, node.worldMatrix);
+    } else {
+        mat4.multiply(parentWorldMatrix, local, node.worldMatrix);
+    }
+
+    for (var i = 0; i < node.children.length; i++) {
+        updateWorldMatrix(node.children[i], node.worldMatrix);
+    }
+}
+
+/**
+ * Gets the position of a node in world coordinates, as of the last call to
+ * updateWorldMatrix.
+ */
+function getWorldPosition(node, dest) {
+    return mat4.multiplyVec3(node.worldMatrix, [0, 0, 0], dest);
 }
 
-function pushModelViewMatrix() {
-    var copyToPush = mat4.create(pwgl.modelViewMatrix);
-    pwgl.modelViewMatrixStack.push(copyToPush);
+/**
+ * Sets a quaternion to a rotation about an axis.
+ * @param {vec3} axis Unit vector to rotate about
+ * @param {Number} angle Angle in radians
+ * @param {quat4} dest Quaternion receiving the result
+ * @returns {quat4} dest
+ */
+function quatFromAxisAngle(axis, angle, dest) {
+    var s = Math.sin(angle / 2);
+    dest[0] = axis[0] * s;
+    dest[1] = axis[1] * s;
+    dest[2] = axis[2] * s;
+    dest[3] = Math.cos(angle / 2);
+    return dest;
 }
 
-function popModelViewMatrix() {
-    if (pwgl.modelViewMatrixStack.length === 0) {
-        throw "Error popModelViewMatrix() - Stack was empty ";
+/**
+ * Sets a quaternion to the rotation which turns the x, y and z axes into the
+ * given directions.
+ * @param {vec3} x Unit vector the x axis is turned to
+ * @param {vec3} y Unit vector the y axis is turned to, perpendicular to x
+ * @param {vec3} z Unit vector the z axis is turned to, x cross y
+ * @param {quat4} dest Quaternion receiving the result
+ * @returns {quat4} dest
+ */
+function quatFromBasis(x, y, z, dest) {
+
+    // Rotation matrix with the directions as columns, converted using the
+    // largest of w, x, y or z to avoid dividing by a small number
+    var trace = x[0] + y[1] + z[2];
+    var s;
+    if (trace > 0) {
+        s = 2 * Math.sqrt(1 + trace);
+        dest[3] = s / 4;
+        dest[0] = (y[2] - z[1]) / s;
+        dest[1] = (z[0] - x[2]) / s;
+        dest[2] = (x[1] - y[0]) / s;
+    } else if (x[0] > y[1] && x[0] > z[2]) {
+        s = 2 * Math.sqrt(1 + x[0] - y[1] - z[2]);
+        dest[3] = (y[2] - z[1]) / s;
+        dest[0] = s / 4;
+        dest[1] = (y[0] + x[1]) / s;
+        dest[2] = (z[0] + x[2]) / s;
+    } else if (y[1] > z[2]) {
+        s = 2 * Math.sqrt(1 + y[1] - x[0] - z[2]);
+        dest[3] = (z[0] - x[2]) / s;
+        dest[0] = (y[0] + x[1]) / s;
+        dest[1] = s / 4;
+        dest[2] = (z[1] + y[2]) / s;
+    } else {
+        s = 2 * Math.sqrt(1 + z[2] - x[0] - y[1]);
+        dest[3] = (x[1] - y[0]) / s;
+        dest[0] = (z[0] + x[2]) / s;
+        dest[1] = (z[1] + y[2]) / s;
+        dest[2] = s / 4;
     }
-    pwgl.modelViewMatrix = pwgl.modelViewMatrixStack.pop();
+    return dest;
+}
+
+/**
+ * Calculates the dot product of two quaternions, which is negative when they
+ * are more than half a turn apart.
+ * @param {quat4} a
+ * @param {quat4} b
+ * @returns {Number}
+ */
+function quat4Dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Calculates the rotation matrix of a unit quaternion.
+ * The bundled glMatrix quat4.toMat4 gives the transpose of the rotation, so
+ * this converts the inverse (conjugate) quaternion instead.
+ */
+function quatToMat4(quat, dest) {
+    return quat4.toMat4(quat4.inverse(quat, pwgl.tempQuat), dest);
 }
 
 
 
 // TEXTURES ////////////////////////////////////////////////////////////////////
 
-function loadImageForTexture(url, texture) {
+/**
+ * Gets the texture for an image, loading it on first use.
+ * @param {String} url The image url
+ * @param {int} wrap Optional, how texture coordinates outside 0 to 1 are
+ * wrapped when it is first used. Defaults to gl.MIRRORED_REPEAT.
+ * @returns {WebGLTexture}
+ */
+function getTexture(url, wrap) {
+    if (pwgl.textures[url] === undefined) {
+        pwgl.textures[url] = gl.createTexture();
+        loadImageForTexture(url, pwgl.textures[url], function () {
+            pwgl.loadedTextures[url] = true;
+        }, wrap);
+    }
+    return pwgl.textures[url];
+}
+
+/**
+ * Checks whether the image for a texture has finished loading, starting the
+ * load if it has not been used before.
+ * @param {String} url The image url
+ * @returns {Boolean}
+ */
+function isTextureLoaded(url) {
+    getTexture(url);
+    return pwgl.loadedTextures[url] === true;
+}
+
+function loadImageForTexture(url, texture, onLoad, wrap) {
     var image = new Image();
     image.onload = function () {
         pwgl.ongoingImageLoads.splice(pwgl.ongoingImageLoads.indexOf(image), 1);
 
-        textureFinishedLoading(image, texture);
+        textureFinishedLoading(image, texture, wrap);
+        if (onLoad) {
+            onLoad();
+        }
+    };
+    image.onerror = function () {
+        // The texture stays unloaded, so optional images are not used
+        pwgl.ongoingImageLoads.splice(pwgl.ongoingImageLoads.indexOf(image), 1);
     };
     pwgl.ongoingImageLoads.push(image);
     image.src = url;
 }
 
-function textureFinishedLoading(image, texture) {
+function textureFinishedLoading(image, texture, wrap) {
     gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
 
     gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
 
-    gl.generateMipmap(gl.TEXTURE_2D);
+    // WebGL 1 can only mipmap and wrap images whose sides are powers of two,
+    // others must be clamped or they are drawn black
+    if (isPowerOfTwo(image.width) && isPowerOfTwo(image.height)) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+        wrap = wrap !== undefined ? wrap : gl.MIRRORED_REPEAT;
+    } else {
+        wrap = gl.CLAMP_TO_EDGE;
+    }
 
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
 
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.MIRRORED_REPEAT);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.MIRRORED_REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
     gl.bindTexture(gl.TEXTURE_2D, null);
 }
 
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
 
 
 
@@ -776,13 +4842,18 @@ function startup() {
     canvas = WebGLDebugUtils.makeLostContextSimulatingCanvas(canvas);
     canvas.addEventListener('webglcontextlost', handleContextLost, false);
     canvas.addEventListener('webglcontextrestored', handleContextRestored, false);
+    loadBindings();
     document.addEventListener('keydown', handleKeyDown, false);
     document.addEventListener('keyup', handleKeyUp, false);
-    canvas.addEventListener('mousemove', mymousemove, false);
-    canvas.addEventListener('mousedown', mymousedown, false);
-    canvas.addEventListener('mouseup', mymouseup, false);
-    canvas.addEventListener('mousewheel', wheelHandler, false);
-    canvas.addEventListener('DOMMouseScroll', wheelHandler, false);
+    window.addEventListener('blur', handleFocusLost, false);
+    document.addEventListener('visibilitychange', handleFocusLost, false);
+    canvas.addEventListener('pointerdown', handlePointerDown, false);
+    canvas.addEventListener('pointermove', handlePointerMove, false);
+    canvas.addEventListener('pointerup', handlePointerUp, false);
+    canvas.addEventListener('pointercancel', handlePointerUp, false);
+    canvas.addEventListener('lostpointercapture', handlePointerUp, false);
+    canvas.addEventListener('wheel', wheelHandler, {passive: false});
+    canvas.addEventListener('pick', handlePick, false);
 
     gl = createGLContext(canvas);
 
@@ -790,7 +4861,40 @@ function startup() {
 
     pwgl.fpsCounter = document.getElementById("fps");
     pwgl.displayOrbitRadius = document.getElementById("orbitRadius");
-    pwgl.displayOrbitRPM = document.getElementById("orbitRPM");
+    pwgl.displayOrbitsPerDay = document.getElementById("orbitsPerDay");
+    pwgl.displaySimTime = document.getElementById("simTime");
+    pwgl.displayLightingModel = document.getElementById("lightingModel");
+    pwgl.displayCameraMode = document.getElementById("cameraMode");
+    pwgl.displayAttitude = document.getElementById("attitude");
+    pwgl.displayGamepads = document.getElementById("gamepads");
+    pwgl.displayPicked = document.getElementById("picked");
+    pwgl.labelContainer = document.getElementById("labels");
+    document.getElementById("tleFile").addEventListener('change', handleTLEFileSelected, false);
+    document.getElementById("geoJSONFile").addEventListener('change', handleGeoJSONFileSelected, false);
+    document.getElementById("modelFiles").addEventListener('change', handleModelFilesSelected, false);
+    pwgl.overlayList = document.getElementById("overlays");
+    pwgl.displayPasses = document.getElementById("passes");
+    updatePassList();
+    updateOverlayChoice();
+    pwgl.selectActiveSat = document.getElementById("activeSat");
+    pwgl.selectActiveSat.addEventListener('change', handleSatelliteChosen, false);
+    document.getElementById("addSat").addEventListener('click', handleAddSatellite, false);
+    document.getElementById("removeSat").addEventListener('click', handleRemoveSatellite, false);
+    document.getElementById("fieldOfView").addEventListener('input', handleFieldOfViewChanged, false);
+
+    pwgl.controlsTable = document.getElementById("keyControls");
+    document.getElementById("resetBindings").addEventListener('click', handleResetBindings, false);
+    updateControlsTable();
+
+    // On-screen buttons perform the action they stand for, while held down
+    var buttons = document.getElementById("satControls").querySelectorAll("button[data-action]");
+    for (var i = 0; i < buttons.length; i++) {
+        buttons[i].addEventListener('pointerdown', handleControlButtonDown, false);
+        buttons[i].addEventListener('pointerup', handleControlButtonUp, false);
+        buttons[i].addEventListener('pointercancel', handleControlButtonUp, false);
+    }
+    pwgl.scene.onChange = updateSatelliteChoice;
+    updateSatelliteChoice();
 
     // Draw the complete scene
     draw();
@@ -806,6 +4910,7 @@ function handleContextLost(event) {
     // Ignore all ongoing image loads by removing their onload handler
     for (var i = 0; i < pwgl.ongoingImageLoads.length; i++) {
         pwgl.ongoingImageLoads[i].onload = undefined;
+        pwgl.ongoingImageLoads[i].onerror = undefined;
     }
     pwgl.ongoingImageLoads = [];
 }
@@ -816,24 +4921,94 @@ function handleContextRestored(event) {
 }
 
 function handleKeyDown(event) {
-    pwgl.listOfPressedKeys[event.keyCode] = true;
+
+    // Bind the key to the action chosen in the controls table
+    if (pwgl.rebindingAction !== null) {
+        if (event.code !== "Escape") {
+            setBinding(pwgl.rebindingAction, [event.code]);
+        }
+        pwgl.rebindingAction = null;
+        updateControlsTable();
+        event.preventDefault();
+        return;
+    }
+
+    if (!pwgl.pressedKeys[event.code]) {
+        var actions = getActionsForKey(event.code);
+        for (var i = 0; i < actions.length; i++) {
+            if (ACTIONS[actions[i]].type === "press") {
+                handleAction(actions[i]);
+            }
+        }
+    }
+    pwgl.pressedKeys[event.code] = true;
 }
 
 function handleKeyUp(event) {
-    pwgl.listOfPressedKeys[event.keyCode] = false;
+    pwgl.pressedKeys[event.code] = false;
+}
+
+/**
+ * Releases every key and on-screen control when the page loses focus or is
+ * hidden, as their release would not be seen.
+ */
+function handleFocusLost(ev) {
+    if (ev.type === "visibilitychange" && !document.hidden) {
+        return;
+    }
+    pwgl.pressedKeys = {};
+    pwgl.heldActions = {};
+}
+
+function handlePointerDown(ev) {
+    // Keep receiving the pointer's events even if it leaves the canvas
+    canvas.setPointerCapture(ev.pointerId);
+    pwgl.pointers[ev.pointerId] = {x: ev.clientX, y: ev.clientY,
+        startX: ev.clientX, startY: ev.clientY};
+}
+
+function handlePointerUp(ev) {
+    var pointer = pwgl.pointers[ev.pointerId];
+    delete pwgl.pointers[ev.pointerId];
+
+    // A click rather than a drag picks what is under the pointer
+    if (pointer !== undefined && ev.type === "pointerup" &&
+            Object.keys(pwgl.pointers).length === 0 &&
+            Math.abs(ev.clientX - pointer.startX) + Math.abs(ev.clientY - pointer.startY) < 5) {
+        pickAt(ev.clientX, ev.clientY);
+    }
 }
 
-function mymousedown(ev) {
-    drag = 1;
-    xOffs = ev.clientX;
-    yOffs = ev.clientY;
+function handlePointerMove(ev) {
+    var pointer = pwgl.pointers[ev.pointerId];
+    if (pointer === undefined) {
+        return; // Not dragging
+    }
+
+    var ids = Object.keys(pwgl.pointers);
+    if (ids.length === 1) {
+        handleMouseAction(ev, ev.clientX - pointer.x, ev.clientY - pointer.y);
+    } else if (ids.length === 2) {
+        var before = [pwgl.pointers[ids[0]], pwgl.pointers[ids[1]]];
+        var after = before.slice();
+        after[ids.indexOf(String(ev.pointerId))] = {x: ev.clientX, y: ev.clientY};
+        handleTwoPointerAction(before, after);
+    }
+
+    pointer.x = ev.clientX;
+    pointer.y = ev.clientY;
 }
 
-function mymouseup(ev) {
-    drag = 0;
+function handleControlButtonDown(ev) {
+    var action = ev.target.getAttribute("data-action");
+    ev.target.setPointerCapture(ev.pointerId);
+    if (ACTIONS[action].type === "press") {
+        handleAction(action);
+    } else {
+        pwgl.heldActions[action] = true;
+    }
 }
 
-function mymousemove(ev) {
-    if (drag !== 0)
-        handleMouseAction(ev);
+function handleControlButtonUp(ev) {
+    pwgl.heldActions[ev.target.getAttribute("data-action")] = false;
 }
\ No newline at end of file
@@ -0,0 +1,560 @@
+/**
+ * This file contains a two-line element (TLE) parser and an SGP4 propagator,
+ * used to position real satellites from published orbital data.
+ *
+ * The propagator follows the near-Earth part of the SGP4 model as published
+ * by Vallado et al. in 'Revisiting Spacetrack Report #3' (2006), using the
+ * WGS-72 constants that TLEs are generated with. Objects with an orbital
+ * period of 225 minutes or more need the deep-space (SDP4) corrections, which
+ * are not implemented, so these are flagged by parseTLE and rejected by
+ * sgp4init.
+ *
+ * Positions are in kilometres and velocities in km/s, in the True Equator
+ * Mean Equinox (TEME) frame. TEME is close enough to an inertial frame for
+ * display purposes, and can be rotated into an Earth-fixed frame using gstime.
+ */
+
+
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// Constants
+////////////////////////////////////////////////////////////////////////////////
+
+var SGP4_RADIUS_EARTH = 6378.135; // WGS-72 equatorial radius (km)
+var SGP4_MU = 398600.8; // WGS-72 gravitational parameter (km^3/s^2)
+var SGP4_XKE = 60.0 / Math.sqrt(SGP4_RADIUS_EARTH * SGP4_RADIUS_EARTH *
+        SGP4_RADIUS_EARTH / SGP4_MU); // sqrt(mu) in earth radii^1.5 per minute
+var SGP4_J2 = 0.001082616;
+var SGP4_J3 = -0.00000253881;
+var SGP4_J4 = -0.00000165597;
+var SGP4_J3OJ2 = SGP4_J3 / SGP4_J2;
+
+var SGP4_TWO_PI = 2.0 * Math.PI;
+var SGP4_DEG2RAD = Math.PI / 180.0;
+var SGP4_MINUTES_PER_DAY = 1440.0;
+
+/**
+ * Error messages for the codes set on satrec.error by sgp4.
+ */
+var SGP4_ERRORS = {
+    1: "mean elements, ecc >= 1.0 or ecc < -0.001 or a < 0.95 er",
+    2: "mean motion less than 0.0",
+    4: "semi-latus rectum < 0.0",
+    6: "satellite has decayed"
+};
+
+
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// TLE parsing
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Parses the text of a TLE file into a list of satellite records. Entries may
+ * be in two-line or three-line (with name) format. Entries that fail to parse
+ * are skipped and reported in the returned errors list.
+ * @param {String} text Contents of the TLE file
+ * @returns {Object} entries (list of satrec objects) and errors (list of
+ * strings)
+ */
+function parseTLE(text) {
+
+    var lines = text.split(/\r?\n/);
+    var entries = [];
+    var errors = [];
+    var name = null;
+
+    for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].replace(/\s+$/, "");
+
+        if (line.length === 0) {
+            continue;
+        }
+
+        if (line.charAt(0) === "1" && line.charAt(1) === " " &&
+                i + 1 < lines.length && lines[i + 1].charAt(0) === "2") {
+            var line2 = lines[i + 1].replace(/\s+$/, "");
+            i++;
+
+            try {
+                var satrec = parseTLELines(line, line2);
+                satrec.name = name !== null ? name : satrec.satnum;
+                entries.push(satrec);
+            } catch (e) {
+                errors.push((name !== null ? name : "line " + i) + ": " + e);
+            }
+            name = null;
+        } else {
+            // Title line of a three-line entry (optionally prefixed by "0 ")
+            name = line.replace(/^0 /, "").trim();
+        }
+    }
+
+    return {entries: entries, errors: errors};
+}
+
+/**
+ * Parses a single pair of TLE lines into a satellite record.
+ * @param {String} line1 First line of the element set
+ * @param {String} line2 Second line of the element set
+ * @returns {Object} The satellite record, ready for propagation
+ */
+function parseTLELines(line1, line2) {
+
+    if (line1.length < 69 || line2.length < 69) {
+        throw "Error parseTLELines() - Lines must be 69 characters long";
+    }
+    if (tleChecksum(line1) !== parseInt(line1.charAt(68), 10) ||
+            tleChecksum(line2) !== parseInt(line2.charAt(68), 10)) {
+        throw "Error parseTLELines() - Checksum mismatch";
+    }
+    if (line1.substring(2, 7) !== line2.substring(2, 7)) {
+        throw "Error parseTLELines() - Catalogue numbers of lines do not match";
+    }
+
+    var satrec = {};
+
+    // Line 1
+    satrec.satnum = line1.substring(2, 7).trim();
+    var epochYear = parseInt(line1.substring(18, 20), 10);
+    satrec.epochYear = epochYear < 57 ? epochYear + 2000 : epochYear + 1900;
+    satrec.epochDays = parseFloat(line1.substring(20, 32));
+    satrec.ndot = parseFloat(line1.substring(33, 43));
+    satrec.nddot = parseTLEExponent(line1.substring(44, 52));
+    satrec.bstar = parseTLEExponent(line1.substring(53, 61));
+
+    // Line 2
+    satrec.inclo = parseFloat(line2.substring(8, 16)) * SGP4_DEG2RAD;
+    satrec.nodeo = parseFloat(line2.substring(17, 25)) * SGP4_DEG2RAD;
+    satrec.ecco = parseFloat("0." + line2.substring(26, 33).trim());
+    satrec.argpo = parseFloat(line2.substring(34, 42)) * SGP4_DEG2RAD;
+    satrec.mo = parseFloat(line2.substring(43, 51)) * SGP4_DEG2RAD;
+    var revsPerDay = parseFloat(line2.substring(52, 63));
+
+    if (isNaN(satrec.inclo) || isNaN(satrec.ecco) || isNaN(revsPerDay) ||
+            isNaN(satrec.epochDays) || isNaN(satrec.bstar)) {
+        throw "Error parseTLELines() - Malformed number";
+    }
+
+    // Mean motion in radians per minute
+    satrec.no_kozai = revsPerDay / (SGP4_MINUTES_PER_DAY / SGP4_TWO_PI);
+
+    // Julian date of epoch, day 1.0 being midnight at the start of January 1st
+    satrec.jdsatepoch = julianDate(satrec.epochYear, 1, 0, 0, 0, 0) + satrec.epochDays;
+    satrec.epochMs = (satrec.jdsatepoch - 2440587.5) * 86400000;
+
+    satrec.isDeepSpace = SGP4_MINUTES_PER_DAY / revsPerDay >= 225.0;
+
+    return satrec;
+}
+
+/**
+ * Calculates the modulo 10 checksum of a TLE line, where digits count as their
+ * value and minus signs as 1.
+ * @param {String} line The TLE line
+ * @returns {int} The checksum
+ */
+function tleChecksum(line) {
+    var sum = 0;
+    for (var i = 0; i < 68; i++) {
+        var c = line.charAt(i);
+        if (c >= "0" && c <= "9") {
+            sum += parseInt(c, 10);
+        } else if (c === "-") {
+            sum += 1;
+        }
+    }
+    return sum % 10;
+}
+
+/**
+ * Parses a TLE number in the assumed-decimal exponent format, e.g. " 28098-4"
+ * meaning 0.28098e-4.
+ * @param {String} field The field text
+ * @returns {Number}
+ */
+function parseTLEExponent(field) {
+    field = field.trim();
+    if (field.length === 0) {
+        return 0.0;
+    }
+    var sign = 1.0;
+    if (field.charAt(0) === "-" || field.charAt(0) === "+") {
+        sign = field.charAt(0) === "-" ? -1.0 : 1.0;
+        field = field.substring(1);
+    }
+    var mantissa = field.substring(0, field.length - 2);
+    var exponent = field.substring(field.length - 2);
+    return sign * parseFloat("0." + mantissa) * Math.pow(10, parseInt(exponent, 10));
+}
+
+
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// Time
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Calculates the Julian date of a UTC date and time.
+ * Valid for years 1900 to 2100.
+ * @returns {Number} Julian date
+ */
+function julianDate(year, month, day, hour, minute, second) {
+    return 367.0 * year -
+            Math.floor((7 * (year + Math.floor((month + 9) / 12.0))) * 0.25) +
+            Math.floor(275 * month / 9.0) +
+            day + 1721013.5 +
+            ((second / 60.0 + minute) / 60.0 + hour) / 24.0;
+}
+
+/**
+ * Calculates the Julian date of a JavaScript time.
+ * @param {Number} ms Milliseconds since 1970-01-01T00:00:00Z
+ * @returns {Number} Julian date
+ */
+function julianDateFromMs(ms) {
+    return ms / 86400000 + 2440587.5;
+}
+
+/**
+ * Calculates Greenwich mean sidereal time, the angle between the vernal
+ * equinox and the prime meridian.
+ * @param {Number} jdut1 Julian date (UT1)
+ * @returns {Number} Angle in radians (0 to 2 pi)
+ */
+function gstime(jdut1) {
+    var tut1 = (jdut1 - 2451545.0) / 36525.0;
+    var temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1 +
+            (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841; // seconds
+    temp = (temp * SGP4_DEG2RAD / 240.0) % SGP4_TWO_PI;
+    if (temp < 0.0) {
+        temp += SGP4_TWO_PI;
+    }
+    return temp;
+}
+
+
+
+
+
+////////////////////////////////////////////////////////////////////////////////
+// SGP4
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Initialises a satellite record for propagation, calculating the constants
+ * that do not depend on time. Must be called once before sgp4.
+ * @param {Object} satrec Satellite record from parseTLE
+ * @returns {Object} The same satellite record
+ */
+function sgp4init(satrec) {
+
+    if (satrec.isDeepSpace) {
+        throw "Error sgp4init() - Deep-space objects (period >= 225 min) are not supported";
+    }
+
+    var x2o3 = 2.0 / 3.0;
+    var temp4 = 1.5e-12;
+
+    satrec.error = 0;
+    satrec.isimp = 0;
+
+    var ss = 78.0 / SGP4_RADIUS_EARTH + 1.0;
+    var qzms2t = Math.pow((120.0 - 78.0) / SGP4_RADIUS_EARTH, 4);
+
+    // Recover original mean motion and semi-major axis from the Kozai mean
+    // motion given in the TLE
+    var ecco = satrec.ecco;
+    var eccsq = ecco * ecco;
+    var omeosq = 1.0 - eccsq;
+    var rteosq = Math.sqrt(omeosq);
+    var cosio = Math.cos(satrec.inclo);
+    var cosio2 = cosio * cosio;
+
+    var ak = Math.pow(SGP4_XKE / satrec.no_kozai, x2o3);
+    var d1 = 0.75 * SGP4_J2 * (3.0 * cosio2 - 1.0) / (rteosq * omeosq);
+    var del = d1 / (ak * ak);
+    var adel = ak * (1.0 - del * del - del * (1.0 / 3.0 + 134.0 * del * del / 81.0));
+    del = d1 / (adel * adel);
+    satrec.no_unkozai = satrec.no_kozai / (1.0 + del);
+
+    var ao = Math.pow(SGP4_XKE / satrec.no_unkozai, x2o3);
+    var sinio = Math.sin(satrec.inclo);
+    var po = ao * omeosq;
+    satrec.con42 = 1.0 - 5.0 * cosio2;
+    satrec.con41 = -satrec.con42 - cosio2 - cosio2;
+    var posq = po * po;
+    var rp = ao * (1.0 - ecco);
+
+    if (omeosq < 0.0 && satrec.no_unkozai < 0.0) {
+        return satrec;
+    }
+
+    // Use the simplified model for perigees below 220 km
+    if (rp < 220.0 / SGP4_RADIUS_EARTH + 1.0) {
+        satrec.isimp = 1;
+    }
+
+    // Adjust the atmospheric density parameters for perigees below 156 km
+    var sfour = ss;
+    var qzms24 = qzms2t;
+    var perige = (rp - 1.0) * SGP4_RADIUS_EARTH;
+    if (perige < 156.0) {
+        sfour = perige - 78.0;
+        if (perige < 98.0) {
+            sfour = 20.0;
+        }
+        qzms24 = Math.pow((120.0 - sfour) / SGP4_RADIUS_EARTH, 4);
+        sfour = sfour / SGP4_RADIUS_EARTH + 1.0;
+    }
+
+    var pinvsq = 1.0 / posq;
+    var tsi = 1.0 / (ao - sfour);
+    satrec.eta = ao * ecco * tsi;
+    var etasq = satrec.eta * satrec.eta;
+    var eeta = ecco * satrec.eta;
+    var psisq = Math.abs(1.0 - etasq);
+    var coef = qzms24 * Math.pow(tsi, 4);
+    var coef1 = coef / Math.pow(psisq, 3.5);
+    var cc2 = coef1 * satrec.no_unkozai * (ao * (1.0 + 1.5 * etasq + eeta *
+            (4.0 + etasq)) + 0.375 * SGP4_J2 * tsi / psisq * satrec.con41 *
+            (8.0 + 3.0 * etasq * (8.0 + etasq)));
+    satrec.cc1 = satrec.bstar * cc2;
+    var cc3 = 0.0;
+    if (ecco > 1.0e-4) {
+        cc3 = -2.0 * coef * tsi * SGP4_J3OJ2 * satrec.no_unkozai * sinio / ecco;
+    }
+    satrec.x1mth2 = 1.0 - cosio2;
+    satrec.cc4 = 2.0 * satrec.no_unkozai * coef1 * ao * omeosq *
+            (satrec.eta * (2.0 + 0.5 * etasq) + ecco *
+            (0.5 + 2.0 * etasq) - SGP4_J2 * tsi / (ao * psisq) *
+            (-3.0 * satrec.con41 * (1.0 - 2.0 * eeta + etasq *
+            (1.5 - 0.5 * eeta)) + 0.75 * satrec.x1mth2 *
+            (2.0 * etasq - eeta * (1.0 + etasq)) * Math.cos(2.0 * satrec.argpo)));
+    satrec.cc5 = 2.0 * coef1 * ao * omeosq * (1.0 + 2.75 *
+            (etasq + eeta) + eeta * etasq);
+
+    // Secular rates of mean anomaly, argument of perigee and node
+    var cosio4 = cosio2 * cosio2;
+    var temp1 = 1.5 * SGP4_J2 * pinvsq * satrec.no_unkozai;
+    var temp2 = 0.5 * temp1 * SGP4_J2 * pinvsq;
+    var temp3 = -0.46875 * SGP4_J4 * pinvsq * pinvsq * satrec.no_unkozai;
+    satrec.mdot = satrec.no_unkozai + 0.5 * temp1 * rteosq * satrec.con41 +
+            0.0625 * temp2 * rteosq * (13.0 - 78.0 * cosio2 + 137.0 * cosio4);
+    satrec.argpdot = -0.5 * temp1 * satrec.con42 + 0.0625 * temp2 *
+            (7.0 - 114.0 * cosio2 + 395.0 * cosio4) +
+            temp3 * (3.0 - 36.0 * cosio2 + 49.0 * cosio4);
+    var xhdot1 = -temp1 * cosio;
+    satrec.nodedot = xhdot1 + (0.5 * temp2 * (4.0 - 19.0 * cosio2) +
+            2.0 * temp3 * (3.0 - 7.0 * cosio2)) * cosio;
+
+    satrec.omgcof = satrec.bstar * cc3 * Math.cos(satrec.argpo);
+    satrec.xmcof = 0.0;
+    if (ecco > 1.0e-4) {
+        satrec.xmcof = -x2o3 * coef * satrec.bstar / eeta;
+    }
+    satrec.nodecf = 3.5 * omeosq * xhdot1 * satrec.cc1;
+    satrec.t2cof = 1.5 * satrec.cc1;
+
+    // Avoid division by zero for inclinations of 180 degrees
+    if (Math.abs(cosio + 1.0) > 1.5e-12) {
+        satrec.xlcof = -0.25 * SGP4_J3OJ2 * sinio * (3.0 + 5.0 * cosio) / (1.0 + cosio);
+    } else {
+        satrec.xlcof = -0.25 * SGP4_J3OJ2 * sinio * (3.0 + 5.0 * cosio) / temp4;
+    }
+    satrec.aycof = -0.5 * SGP4_J3OJ2 * sinio;
+    satrec.delmo = Math.pow(1.0 + satrec.eta * Math.cos(satrec.mo), 3);
+    satrec.sinmao = Math.sin(satrec.mo);
+    satrec.x7thm1 = 7.0 * cosio2 - 1.0;
+
+    // Higher order drag terms, not used by the simplified model
+    if (satrec.isimp !== 1) {
+        var cc1sq = satrec.cc1 * satrec.cc1;
+        satrec.d2 = 4.0 * ao * tsi * cc1sq;
+        var temp = satrec.d2 * tsi * satrec.cc1 / 3.0;
+        satrec.d3 = (17.0 * ao + sfour) * temp;
+        satrec.d4 = 0.5 * temp * ao * tsi * (221.0 * ao + 31.0 * sfour) * satrec.cc1;
+        satrec.t3cof = satrec.d2 + 2.0 * cc1sq;
+        satrec.t4cof = 0.25 * (3.0 * satrec.d3 + satrec.cc1 *
+                (12.0 * satrec.d2 + 10.0 * cc1sq));
+        satrec.t5cof = 0.2 * (3.0 * satrec.d4 +
+                12.0 * satrec.cc1 * satrec.d3 +
+                6.0 * satrec.d2 * satrec.d2 +
+                15.0 * cc1sq * (2.0 * satrec.d2 + cc1sq));
+    }
+
+    return satrec;
+}
+
+/**
+ * Propagates a satellite record to a time relative to its epoch.
+ * If propagation fails, satrec.error is set (see SGP4_ERRORS) and null is
+ * returned.
+ * @param {Object} satrec Satellite record initialised by sgp4init
+ * @param {Number} tsince Time since epoch (minutes)
+ * @returns {Object} position (km) and velocity (km/s) in the TEME frame
+ */
+function sgp4(satrec, tsince) {
+
+    var x2o3 = 2.0 / 3.0;
+    var vkmpersec = SGP4_RADIUS_EARTH * SGP4_XKE / 60.0;
+
+    satrec.error = 0;
+
+    // Update for secular gravity and atmospheric drag
+    var t = tsince;
+    var xmdf = satrec.mo + satrec.mdot * t;
+    var argpdf = satrec.argpo + satrec.argpdot * t;
+    var nodedf = satrec.nodeo + satrec.nodedot * t;
+    var argpm = argpdf;
+    var mm = xmdf;
+    var t2 = t * t;
+    var nodem = nodedf + satrec.nodecf * t2;
+    var tempa = 1.0 - satrec.cc1 * t;
+    var tempe = satrec.bstar * satrec.cc4 * t;
+    var templ = satrec.t2cof * t2;
+
+    if (satrec.isimp !== 1) {
+        var delomg = satrec.omgcof * t;
+        var delmtemp = 1.0 + satrec.eta * Math.cos(xmdf);
+        var delm = satrec.xmcof * (delmtemp * delmtemp * delmtemp - satrec.delmo);
+        var temp = delomg + delm;
+        mm = xmdf + temp;
+        argpm = argpdf - temp;
+        var t3 = t2 * t;
+        var t4 = t3 * t;
+        tempa = tempa - satrec.d2 * t2 - satrec.d3 * t3 - satrec.d4 * t4;
+        tempe = tempe + satrec.bstar * satrec.cc5 * (Math.sin(mm) - satrec.sinmao);
+        templ = templ + satrec.t3cof * t3 + t4 * (satrec.t4cof + t * satrec.t5cof);
+    }
+
+    var nm = satrec.no_unkozai;
+    var em = satrec.ecco;
+    var inclm = satrec.inclo;
+
+    if (nm <= 0.0) {
+        satrec.error = 2;
+        return null;
+    }
+
+    var am = Math.pow(SGP4_XKE / nm, x2o3) * tempa * tempa;
+    nm = SGP4_XKE / Math.pow(am, 1.5);
+    em = em - tempe;
+
+    if (em >= 1.0 || em < -0.001 || am < 0.95) {
+        satrec.error = 1;
+        return null;
+    }
+    if (em < 1.0e-6) {
+        em = 1.0e-6;
+    }
+
+    mm = mm + satrec.no_unkozai * templ;
+    var xlm = mm + argpm + nodem;
+
+    nodem = nodem % SGP4_TWO_PI;
+    argpm = argpm % SGP4_TWO_PI;
+    xlm = xlm % SGP4_TWO_PI;
+    mm = (xlm - argpm - nodem) % SGP4_TWO_PI;
+
+    var sinip = Math.sin(inclm);
+    var cosip = Math.cos(inclm);
+
+    // Long period periodics
+    var axnl = em * Math.cos(argpm);
+    temp = 1.0 / (am * (1.0 - em * em));
+    var aynl = em * Math.sin(argpm) + temp * satrec.aycof;
+    var xl = mm + argpm + nodem + temp * satrec.xlcof * axnl;
+
+    // Solve Kepler's equation
+    var u = (xl - nodem) % SGP4_TWO_PI;
+    var eo1 = u;
+    var tem5 = 9999.9;
+    var ktr = 1;
+    var sineo1, coseo1;
+    while (Math.abs(tem5) >= 1.0e-12 && ktr <= 10) {
+        sineo1 = Math.sin(eo1);
+        coseo1 = Math.cos(eo1);
+        tem5 = 1.0 - coseo1 * axnl - sineo1 * aynl;
+        tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / tem5;
+        if (Math.abs(tem5) >= 0.95) {
+            tem5 = tem5 > 0.0 ? 0.95 : -0.95;
+        }
+        eo1 = eo1 + tem5;
+        ktr++;
+    }
+
+    // Short period preliminary quantities
+    var ecose = axnl * coseo1 + aynl * sineo1;
+    var esine = axnl * sineo1 - aynl * coseo1;
+    var el2 = axnl * axnl + aynl * aynl;
+    var pl = am * (1.0 - el2);
+    if (pl < 0.0) {
+        satrec.error = 4;
+        return null;
+    }
+
+    var rl = am * (1.0 - ecose);
+    var rdotl = Math.sqrt(am) * esine / rl;
+    var rvdotl = Math.sqrt(pl) / rl;
+    var betal = Math.sqrt(1.0 - el2);
+    temp = esine / (1.0 + betal);
+    var sinu = am / rl * (sineo1 - aynl - axnl * temp);
+    var cosu = am / rl * (coseo1 - axnl + aynl * temp);
+    var su = Math.atan2(sinu, cosu);
+    var sin2u = (cosu + cosu) * sinu;
+    var cos2u = 1.0 - 2.0 * sinu * sinu;
+    temp = 1.0 / pl;
+    var temp1 = 0.5 * SGP4_J2 * temp;
+    var temp2 = temp1 * temp;
+
+    // Update for short period periodics
+    var mrt = rl * (1.0 - 1.5 * temp2 * betal * satrec.con41) +
+            0.5 * temp1 * satrec.x1mth2 * cos2u;
+    su = su - 0.25 * temp2 * satrec.x7thm1 * sin2u;
+    var xnode = nodem + 1.5 * temp2 * cosip * sin2u;
+    var xinc = inclm + 1.5 * temp2 * cosip * sinip * cos2u;
+    var mvt = rdotl - nm * temp1 * satrec.x1mth2 * sin2u / SGP4_XKE;
+    var rvdot = rvdotl + nm * temp1 * (satrec.x1mth2 * cos2u +
+            1.5 * satrec.con41) / SGP4_XKE;
+
+    // Orientation vectors
+    var sinsu = Math.sin(su);
+    var cossu = Math.cos(su);
+    var snod = Math.sin(xnode);
+    var cnod = Math.cos(xnode);
+    var sini = Math.sin(xinc);
+    var cosi = Math.cos(xinc);
+    var xmx = -snod * cosi;
+    var xmy = cnod * cosi;
+    var ux = xmx * sinsu + cnod * cossu;
+    var uy = xmy * sinsu + snod * cossu;
+    var uz = sini * sinsu;
+    var vx = xmx * cossu - cnod * sinsu;
+    var vy = xmy * cossu - snod * sinsu;
+    var vz = sini * cossu;
+
+    if (mrt < 1.0) {
+        satrec.error = 6;
+        return null;
+    }
+
+    return {
+        position: [
+            mrt * ux * SGP4_RADIUS_EARTH,
+            mrt * uy * SGP4_RADIUS_EARTH,
+            mrt * uz * SGP4_RADIUS_EARTH
+        ],
+        velocity: [
+            (mvt * ux + rvdot * vx) * vkmpersec,
+            (mvt * uy + rvdot * vy) * vkmpersec,
+            (mvt * uz + rvdot * vz) * vkmpersec
+        ]
+    };
+}
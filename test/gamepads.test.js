@@ -0,0 +1,116 @@
+/**
+ * Checks the gamepad handling in earthProgram.js against a fake
+ * navigator.getGamepads, as no real pads are connected when testing: sticks
+ * inside the dead zone are ignored, pads can appear and disappear between
+ * frames, and the sticks of several pads act as one.
+ *
+ * Run from the repository root with: node test/gamepads.test.js
+ */
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+// The page's scripts are written for the browser, so they are run as scripts
+// whose functions become globals of a sandbox. Nothing here touches the DOM.
+var gamepads = [];
+var sandbox = {
+    navigator: {
+        getGamepads: function () {
+            return gamepads;
+        }
+    }
+};
+vm.createContext(sandbox);
+["glMatrix.js", "earthProgram.js"].forEach(function (file) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, "..", file), "utf8"), sandbox);
+});
+
+// Record what the sticks ask for rather than moving anything
+var calls;
+sandbox.controlSatellite = function (sat, radius, speed) {
+    calls.push(["controlSatellite", sat, radius, speed]);
+};
+sandbox.rotateCamera = function (camera, dx, dy) {
+    calls.push(["rotateCamera", camera, dx, dy]);
+};
+
+var pwgl = sandbox.pwgl;
+pwgl.gamepadSettings = {deadZone: 0.15, cameraSpeed: 8};
+pwgl.gamepadNames = [];
+pwgl.activeSat = {name: "Satellite"};
+pwgl.camera = {mode: "free"};
+
+function pad(id, axes) {
+    return {id: id, connected: true, axes: axes};
+}
+
+var failures = 0;
+var checks = 0;
+
+/**
+ * Runs one frame of gamepad handling with the given pads connected, and
+ * compares the calls made and the names listed with those expected.
+ */
+function check(name, pads, expectedCalls, expectedNames) {
+    checks++;
+    gamepads = pads;
+    calls = [];
+    sandbox.handleGamepads();
+
+    var problems = [];
+    if (JSON.stringify(pwgl.gamepadNames) !== JSON.stringify(expectedNames)) {
+        problems.push("names " + JSON.stringify(pwgl.gamepadNames));
+    }
+    if (calls.length !== expectedCalls.length) {
+        problems.push(calls.length + " calls");
+    }
+    expectedCalls.forEach(function (expected, i) {
+        var call = calls[i];
+        if (call === undefined) {
+            return;
+        }
+        var target = expected[0] === "controlSatellite" ? pwgl.activeSat : pwgl.camera;
+        if (call[0] !== expected[0] || call[1] !== target ||
+                Math.abs(call[2] - expected[1]) > 1e-9 || Math.abs(call[3] - expected[2]) > 1e-9) {
+            problems.push("call " + call[0] + "(" + call[2] + ", " + call[3] + ")");
+        }
+    });
+
+    if (problems.length === 0) {
+        console.log("ok   " + name);
+    } else {
+        console.log("FAIL " + name + ": " + problems.join(", "));
+        failures++;
+    }
+}
+
+check("no pads", [], [], []);
+check("sticks at rest", [pad("Pad A", [0, 0, 0, 0])], [], ["Pad A"]);
+check("sticks inside the dead zone", [pad("Pad A", [0.1, -0.1, 0.05, 0.1])], [], ["Pad A"]);
+
+// Just outside the dead zone movement starts from 0, and full tilt gives 1
+check("left stick just past the dead zone", [pad("Pad A", [0, -0.2, 0, 0])],
+        [["controlSatellite", (0.2 - 0.15) / 0.85, 0]], ["Pad A"]);
+check("left stick up and right", [pad("Pad A", [1, -1, 0, 0])],
+        [["controlSatellite", Math.SQRT1_2, Math.SQRT1_2]], ["Pad A"]);
+check("right stick turns the camera", [pad("Pad A", [0, 0, 1, 0])],
+        [["rotateCamera", 8, 0]], ["Pad A"]);
+
+// Browsers leave gaps for unplugged pads, or keep them as not connected
+check("pad plugged in", [null, pad("Pad B", [0, 1, 0, 0])],
+        [["controlSatellite", -1, 0]], ["Pad B"]);
+check("pad disconnected", [null, {id: "Pad B", connected: false, axes: [0, 1, 0, 0]}], [], []);
+check("pad without two sticks", [pad("Wheel", [1, 1])], [], []);
+
+// Two pads held the same way act as one, not twice as hard
+check("two pads at full tilt", [pad("Pad A", [0, -1, 0, 0]), pad("Pad B", [0, -1, 0, 0])],
+        [["controlSatellite", 1, 0]], ["Pad A", "Pad B"]);
+check("two pads pushed opposite ways", [pad("Pad A", [1, 0, 0, 0]), pad("Pad B", [-1, 0, 0, 0])],
+        [], ["Pad A", "Pad B"]);
+
+pwgl.activeSat = null;
+check("no satellite to control", [pad("Pad A", [0, -1, 0, 1])], [["rotateCamera", 0, 8]], ["Pad A"]);
+
+console.log((checks - failures) + " of " + checks + " checks passed");
+process.exit(failures > 0 ? 1 : 0);
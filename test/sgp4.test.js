@@ -0,0 +1,104 @@
+/**
+ * Checks the SGP4 propagator in sgp4.js against the verification results
+ * published by Vallado et al. with 'Revisiting Spacetrack Report #3' (2006).
+ * The element sets are from SGP4-VER.TLE and the expected positions (km) and
+ * velocities (km/s) from tcppver.out. Only near-Earth cases are included, as
+ * deep-space objects are not supported.
+ *
+ * Run from the repository root with: node test/sgp4.test.js
+ */
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+// sgp4.js is written for the browser, so it is run as a script whose
+// functions become globals of a sandbox
+var sandbox = {};
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(path.join(__dirname, "..", "sgp4.js"), "utf8"), sandbox);
+
+var POSITION_TOLERANCE = 1.0e-6; // km
+var VELOCITY_TOLERANCE = 1.0e-9; // km/s
+
+/*
+ * Each case is a TLE from SGP4-VER.TLE and rows of tcppver.out, as
+ * [minutes since epoch, x, y, z, xdot, ydot, zdot].
+ */
+var CASES = [
+    {
+        name: "00005 (Vanguard 1, eccentric near-Earth orbit)",
+        line1: "1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753",
+        line2: "2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667",
+        expected: [
+            [0.0, 7022.46529266, -1400.08296755, 0.03995155,
+                1.893841015, 6.405893759, 4.534807250],
+            [360.0, -7154.03120202, -3783.17682504, -3536.19412294,
+                4.741887409, -4.151817765, -2.093935425],
+            [720.0, -7134.59340119, 6531.68641334, 3260.27186483,
+                -4.113793027, -2.911922039, -2.557327851]
+        ]
+    },
+    {
+        name: "28057 (near-circular polar orbit)",
+        line1: "1 28057U 03049A   06177.78615833  .00000060  00000-0  35940-4 0  1836",
+        line2: "2 28057  98.4283 247.6961 0000884  88.1964 271.9322 14.35478080140550",
+        expected: [
+            [0.0, -2715.28237486, -6619.26436889, -0.01341443,
+                -1.008587273, 0.422782003, 7.385272942]
+        ]
+    }
+];
+
+var failures = 0;
+var checks = 0;
+
+CASES.forEach(function (testCase) {
+    var satrec;
+    try {
+        satrec = sandbox.parseTLELines(testCase.line1, testCase.line2);
+        sandbox.sgp4init(satrec);
+    } catch (e) {
+        console.log("FAIL " + testCase.name + ": " + e);
+        failures++;
+        return;
+    }
+
+    testCase.expected.forEach(function (row) {
+        checks++;
+        var state = sandbox.sgp4(satrec, row[0]);
+        if (state === null) {
+            console.log("FAIL " + testCase.name + " at " + row[0] + " min: error " + satrec.error);
+            failures++;
+            return;
+        }
+
+        var worst = {position: 0, velocity: 0};
+        for (var i = 0; i < 3; i++) {
+            worst.position = Math.max(worst.position, Math.abs(state.position[i] - row[1 + i]));
+            worst.velocity = Math.max(worst.velocity, Math.abs(state.velocity[i] - row[4 + i]));
+        }
+        var passed = worst.position <= POSITION_TOLERANCE && worst.velocity <= VELOCITY_TOLERANCE;
+        console.log((passed ? "ok   " : "FAIL ") + testCase.name + " at " + row[0] + " min" +
+                " (position off by " + worst.position.toExponential(2) + " km, velocity off by " +
+                worst.velocity.toExponential(2) + " km/s)");
+        if (!passed) {
+            failures++;
+        }
+    });
+});
+
+// An orbit which has decayed must be rejected rather than propagated
+checks++;
+var decayed = sandbox.parseTLELines(CASES[1].line1, CASES[1].line2);
+sandbox.sgp4init(decayed);
+decayed.no_unkozai *= 3; // Semi-major axis well inside the Earth
+if (sandbox.sgp4(decayed, 0.0) === null && decayed.error === 1) {
+    console.log("ok   decayed orbit gives error 1");
+} else {
+    console.log("FAIL decayed orbit should give error 1, got " + decayed.error);
+    failures++;
+}
+
+console.log((checks - failures) + " of " + checks + " checks passed");
+process.exit(failures > 0 ? 1 : 0);